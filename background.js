@@ -4,11 +4,18 @@
  * Handles background tasks and logging for the extension
  */
 
+// Message schema shared with the content scripts
+importScripts('protocol.js');
+const { PORT_NAME, MESSAGE_TYPES, POPUP_COMMANDS, createMessage, validateMessage } = YTForceBufferProtocol;
+
 console.log('[YT Force Buffer] Background script initialized');
 
 // Track active buffering sessions
 const activeBuffers = new Map();
 
+// Last finished session of each tab, continued when forcing starts again on the same video, like a buffer-ahead refill
+const finishedBuffers = new Map();
+
 // Format elapsed time in seconds
 const formatElapsedTime = (seconds) => {
   if (seconds < 60) return `${seconds.toFixed(1)}s`;
@@ -23,87 +30,852 @@ const formatQuality = (quality) => {
   return quality ? ` (${quality})` : '';
 };
 
-// Format video type info
-const formatVideoType = (isShorts) => {
-  return isShorts ? ' [Shorts]' : '';
+// Tags for streams that are not regular videos
+const STREAM_TYPE_LABELS = {
+  live: 'Live',
+  dvr: 'Live DVR',
+  upcoming: 'Upcoming'
 };
 
-// Handle messages from content script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'BUFFER_STATUS') {
-    const data = message.data;
-    const tabId = sender.tab ? sender.tab.id : 'unknown';
-    
-    // Get quality and video type info
-    const qualityInfo = formatQuality(data.quality);
-    const videoTypeInfo = formatVideoType(data.isShorts);
-    
-    // Handle different status updates
-    switch(data.status) {
-      case 'started':
-        // Start tracking this buffer session
-        activeBuffers.set(tabId, {
-          startTime: Date.now(),
-          videoType: data.isShorts ? 'Shorts' : 'Video',
-          quality: data.quality,
-          progress: 0
-        });
-        console.log(`[YT Force Buffer] Started buffering${videoTypeInfo}${qualityInfo}`);
-        break;
+// Format video type info, led by the title and channel the page bridge reports
+const formatVideoType = (isShorts, video, streamType) => {
+  let info = '';
+  if (video && video.title) {
+    info += ` "${video.title}"${video.channel ? ` by ${video.channel}` : ''}`;
+  }
+  if (isShorts) info += ' [Shorts]';
+  if (STREAM_TYPE_LABELS[streamType]) info += ` [${STREAM_TYPE_LABELS[streamType]}]`;
+  return info;
+};
+
+// Title of the video a status message describes, falling back to the tab title
+const getVideoTitle = (data, tab) => {
+  if (data.video && data.video.title) {
+    return data.video.title;
+  }
+  return tab ? tab.title : '';
+};
+
+// Badge text and color for each buffering state shown on the toolbar icon
+const BADGE_STYLES = {
+  buffering: { color: '#1a73e8' },
+  paused: { text: 'II', color: '#5f6368' },
+  waiting: { text: '▶', color: '#5f6368' },
+  restarting: { text: '↻', color: '#f9ab00' },
+  complete: { text: '✓', color: '#188038' },
+  incomplete: { text: '!', color: '#d93025' },
+  live: { text: 'LIVE', color: '#5f6368' },
+  ad: { text: 'AD', color: '#f9ab00' },
+  queued: { text: '…', color: '#5f6368' },
+  budget: { text: 'CAP', color: '#d93025' },
+  network: { text: 'NET', color: '#5f6368' },
+  battery: { text: 'BAT', color: '#f9ab00' }
+};
+
+// Video the badge of each tab currently describes, to clear it when the tab moves on
+const badgeVideos = new Map();
+
+// Identify the video a YouTube URL points to, or null for non-video pages
+const getVideoKey = (url) => {
+  if (!url) return null;
+  
+  try {
+    const parsed = new URL(url);
+    if (parsed.pathname.startsWith('/shorts/')) {
+      return parsed.pathname;
+    }
+    if (parsed.pathname === '/watch') {
+      return parsed.searchParams.get('v');
+    }
+  } catch (error) {
+    // Not a parseable URL
+  }
+  return null;
+};
+
+// Set the per-tab badge for a buffering state
+const setBadge = (tab, badgeState, text, title) => {
+  if (!tab || typeof tab.id !== 'number') return;
+  
+  const style = BADGE_STYLES[badgeState];
+  badgeVideos.set(tab.id, getVideoKey(tab.url));
+  persistSessionState();
+  
+  chrome.action.setBadgeText({ tabId: tab.id, text: text || style.text });
+  chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: style.color });
+  chrome.action.setTitle({ tabId: tab.id, title: `YouTube Force Buffer - ${title}` });
+};
+
+// Remove the per-tab badge
+const clearBadge = (tabId) => {
+  if (!badgeVideos.has(tabId)) return;
+  
+  badgeVideos.delete(tabId);
+  persistSessionState();
+  chrome.action.setBadgeText({ tabId, text: '' });
+  chrome.action.setTitle({ tabId, title: 'YouTube Force Buffer' });
+};
+
+// How long the badge shows a keyboard shortcut's effect (ms)
+const BADGE_FLASH_DURATION = 1500;
+
+// Show a short text on the badge for a moment, then put back what it showed unless a status changed it meanwhile
+const flashBadge = async (tabId, text) => {
+  const previous = await chrome.action.getBadgeText({ tabId });
+  await chrome.action.setBadgeText({ tabId, text });
+  setTimeout(async () => {
+    if (await chrome.action.getBadgeText({ tabId }) === text) {
+      chrome.action.setBadgeText({ tabId, text: previous });
+    }
+  }, BADGE_FLASH_DURATION);
+};
+
+// Seconds a session has spent buffering, leaving out time spent waiting for ads and idle between refills
+const getSessionTime = (buffer, now = Date.now()) => {
+  const adTime = buffer.adTime + (buffer.adStart ? now - buffer.adStart : 0);
+  return (now - buffer.startTime - adTime - buffer.idleTime) / 1000;
+};
+
+// Build a serializable snapshot of every tracked session for the popup
+const getSessionSnapshots = () => {
+  const now = Date.now();
+  return Array.from(activeBuffers.entries()).map(([tabId, buffer]) => ({
+    tabId,
+    title: buffer.title,
+    channel: buffer.channel,
+    videoType: buffer.videoType,
+    quality: buffer.quality,
+    progress: buffer.progress,
+    speed: buffer.speed,
+    seeks: buffer.seeks,
+    status: buffer.status,
+    rules: buffer.rules,
+    elapsed: getSessionTime(buffer, now)
+  }));
+};
+
+// Tabs allowed to force at once; the options page can change it
+const DEFAULT_MAX_CONCURRENT_TABS = 2;
+let maxConcurrentTabs = DEFAULT_MAX_CONCURRENT_TABS;
+
+// Active tab of the last focused window, which always gets a slot first
+let focusedTabId = null;
+
+// Statuses that end a session or free or take a slot, after which the slots are handed out again
+const SCHEDULING_STATUSES = ['started', 'complete', 'stopped', 'paused', 'resumed'];
+
+// Read the concurrency limit from the settings object the options page saves
+const applySchedulerSettings = (settings) => {
+  const value = settings && settings.maxConcurrentTabs;
+  maxConcurrentTabs = Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_CONCURRENT_TABS;
+};
+
+// Tell a tab's content script to queue or continue forcing
+const sendSchedulerCommand = (tabId, command) => {
+  sendTabCommand(tabId, command, (response) => {
+    if (!response.ok && response.error) {
+      console.log(`[YT Force Buffer] Could not ${command} tab ${tabId}: ${response.error}`);
+    }
+  });
+};
+
+// Give the slots to the focused tab first and then to sessions in the order they started, queueing the rest
+const rebalanceTabs = () => {
+  const candidates = Array.from(activeBuffers.entries())
+    .filter(([, buffer]) => buffer.status !== 'paused')
+    .sort(([tabA, a], [tabB, b]) => (tabB === focusedTabId) - (tabA === focusedTabId) || a.startTime - b.startTime);
+  
+  // Whether a tab is held is tracked apart from its status, since a paused tab may be held as well
+  candidates.forEach(([tabId, buffer], index) => {
+    const hasSlot = index < maxConcurrentTabs;
+    if (hasSlot && buffer.held) {
+      buffer.held = false;
+      if (buffer.status === 'queued') {
+        buffer.status = 'buffering';
+      }
+      sendSchedulerCommand(tabId, 'release');
+    } else if (!hasSlot && !buffer.held) {
+      buffer.held = true;
+      buffer.status = 'queued';
+      sendSchedulerCommand(tabId, 'hold');
+    }
+  });
+  persistSessionState();
+};
+
+// Track the focused tab, then hand out the slots again
+const updateFocusedTab = () => {
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+    focusedTabId = tabs.length > 0 ? tabs[0].id : null;
+    rebalanceTabs();
+  });
+};
+
+// Key of the measured video data totals in chrome.storage.local, which content scripts check their data budget against
+const DATA_USAGE_STORAGE_KEY = 'dataUsage';
+
+// Local day ('YYYY-MM-DD') and month ('YYYY-MM') that bytes are counted under
+const getUsagePeriods = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  return { day: `${month}-${pad(date.getDate())}`, month };
+};
+
+// Readable names of the network rules content.js matches against the connection
+const NETWORK_RULE_LABELS = {
+  saveData: 'Save-Data on',
+  cellular: 'cellular',
+  slow: 'slow connection'
+};
+
+// Describe the network rules behind a policy, e.g. ' (cellular, slow connection)'
+const formatNetworkRules = (rules) => {
+  return rules && rules.length > 0 ? ` (${rules.map((rule) => NETWORK_RULE_LABELS[rule] || rule).join(', ')})` : '';
+};
+
+// Describe the data used in a budget period, e.g. '1024 MB today'
+const formatDataUsage = (data) => {
+  return `${(data.usedBytes / 1048576).toFixed(0)} MB ${data.period === 'monthly' ? 'this month' : 'today'}`;
+};
+
+// Pending chrome.storage.local update; updates are chained so reports from several tabs don't overwrite each other
+let localStorageWrite = Promise.resolve();
+
+// Read a chrome.storage.local value, transform it and write it back once earlier updates are done
+const updateLocalStorage = (key, update) => {
+  localStorageWrite = localStorageWrite
+    .then(async () => {
+      const stored = await chrome.storage.local.get(key);
+      await chrome.storage.local.set({ [key]: update(stored[key]) });
+    })
+    .catch((error) => {
+      console.log(`[YT Force Buffer] Could not update ${key}: ${error}`);
+    });
+};
+
+// Add measured bytes to today's and this month's totals, starting over when a period rolls over
+const recordDataUsage = (bytes) => {
+  updateLocalStorage(DATA_USAGE_STORAGE_KEY, (usage = {}) => {
+    const periods = getUsagePeriods();
+    return {
+      day: periods.day,
+      month: periods.month,
+      dayBytes: (usage.day === periods.day ? usage.dayBytes : 0) + bytes,
+      monthBytes: (usage.month === periods.month ? usage.monthBytes : 0) + bytes
+    };
+  });
+};
+
+// Key of the finished sessions in chrome.storage.local, shown on the options page's history view
+const SESSION_HISTORY_STORAGE_KEY = 'sessionHistory';
+
+// Records kept before the oldest are dropped
+const SESSION_HISTORY_LIMIT = 1000;
+
+// Store a finished session; outcome is 'complete', 'gave_up' (hit the maximum seek attempts), 'stopped' or 'closed'.
+// A continued session replaces the record it left when it finished before, so each video keeps one record
+const recordSessionHistory = (buffer, outcome, data = {}) => {
+  const now = Date.now();
+  const elapsed = Math.round(getSessionTime(buffer, now) * 10) / 10;
+  const record = {
+    endedAt: now,
+    videoId: buffer.videoId,
+    title: buffer.title,
+    channel: buffer.channel,
+    videoType: buffer.videoType,
+    quality: data.quality || buffer.quality,
+    duration: data.duration || buffer.duration,
+    bufferTime: outcome === 'complete' ? elapsed : null,
+    elapsed,
+    seeks: buffer.previousSeeks + (data.attempts !== undefined ? data.attempts : buffer.seeks),
+    strategy: data.strategy || buffer.strategy,
+    qualityChanges: buffer.qualityChanges,
+    mode: data.mode || null,
+    capped: Boolean(data.capped),
+    bytes: data.bytes !== undefined ? buffer.previousBytes + data.bytes : null,
+    outcome
+  };
+  
+  const previousEnd = buffer.recordedAt;
+  buffer.recordedAt = now;
+  updateLocalStorage(SESSION_HISTORY_STORAGE_KEY, (history = []) => [
+    ...history.filter((entry) => previousEnd === null || entry.endedAt !== previousEnd || entry.videoId !== buffer.videoId),
+    record
+  ].slice(-SESSION_HISTORY_LIMIT));
+};
+
+// Keep a finished session so forcing that starts again on its video continues it, folding in its totals so far
+const finishBufferSession = (tabId, buffer, data, tab) => {
+  buffer.previousSeeks += data.attempts !== undefined ? data.attempts : buffer.seeks;
+  buffer.previousBytes += data.bytes || 0;
+  buffer.seeks = 0;
+  buffer.finishedAt = Date.now();
+  buffer.videoKey = getVideoKey(tab.url);
+  activeBuffers.delete(tabId);
+  finishedBuffers.set(tabId, buffer);
+};
+
+// Session state for a 'started' status; a session restarting after a quality change, or refilling the video it
+// finished on, carries its totals over
+const createBufferSession = (data, tab, previous, finished) => {
+  const videoId = data.video ? data.video.videoId : null;
+  const continued = finished && (!videoId || finished.videoId === videoId) ? finished : null;
+  const restarted = previous && previous.restarting ? previous : continued;
+  return {
+    startTime: restarted ? restarted.startTime : Date.now(),
+    videoType: data.isShorts ? 'Shorts' : (data.streamType === 'dvr' ? 'Live' : 'Video'),
+    videoId: videoId || (restarted ? restarted.videoId : null),
+    quality: data.quality,
+    title: getVideoTitle(data, tab),
+    channel: data.video ? data.video.channel : null,
+    duration: data.duration || null,
+    strategy: data.strategy || null,
+    progress: 0,
+    speed: 0,
+    seeks: 0,
+    previousSeeks: restarted ? restarted.previousSeeks + restarted.seeks : 0,
+    previousBytes: restarted ? restarted.previousBytes : 0,
+    qualityChanges: restarted ? restarted.qualityChanges : 0,
+    adTime: restarted ? restarted.adTime : 0,
+    adStart: null,
+    idleTime: restarted ? restarted.idleTime + (continued ? Date.now() - continued.finishedAt : 0) : 0,
+    recordedAt: restarted ? restarted.recordedAt : null,
+    restarting: false,
+    held: restarted ? restarted.held : false,
+    status: 'buffering',
+    rules: data.rules || null
+  };
+};
+
+// Key of the tracked sessions and badges in chrome.storage.session, which outlives the service worker
+const SESSION_STATE_STORAGE_KEY = 'backgroundState';
+
+// Whether a save is already queued for the current turn of the event loop
+let sessionStatePersistQueued = false;
+
+// Save the tracked sessions and badge videos, so a restarted service worker picks them up; saves in one turn are combined
+const persistSessionState = () => {
+  if (sessionStatePersistQueued) return;
+  
+  sessionStatePersistQueued = true;
+  Promise.resolve().then(() => {
+    sessionStatePersistQueued = false;
+    return chrome.storage.session.set({
+      [SESSION_STATE_STORAGE_KEY]: {
+        activeBuffers: Array.from(activeBuffers.entries()),
+        finishedBuffers: Array.from(finishedBuffers.entries()),
+        badgeVideos: Array.from(badgeVideos.entries())
+      }
+    });
+  }).catch((error) => {
+    console.log(`[YT Force Buffer] Could not save session state: ${error}`);
+  });
+};
+
+// Restore what the previous service worker tracked, dropping sessions whose tab closed or left its video meanwhile
+const restoreSessionState = async () => {
+  const stored = (await chrome.storage.session.get(SESSION_STATE_STORAGE_KEY))[SESSION_STATE_STORAGE_KEY];
+  if (!stored) return;
+  
+  const openTabs = new Map((await chrome.tabs.query({})).map((tab) => [tab.id, tab]));
+  stored.badgeVideos.forEach(([tabId, videoKey]) => {
+    if (openTabs.has(tabId)) {
+      badgeVideos.set(tabId, videoKey);
+    }
+  });
+  
+  stored.activeBuffers.forEach(([tabId, buffer]) => {
+    const tab = openTabs.get(tabId);
+    const videoKey = tab ? getVideoKey(tab.url) : null;
+    if (videoKey && (!badgeVideos.has(tabId) || badgeVideos.get(tabId) === videoKey)) {
+      activeBuffers.set(tabId, buffer);
+    } else {
+      recordSessionHistory(buffer, tab ? 'stopped' : 'closed');
+      if (tab) {
+        clearBadge(tabId);
+      }
+    }
+  });
+  
+  // Finished sessions are already recorded, those of tabs that moved on are only dropped
+  (stored.finishedBuffers || []).forEach(([tabId, buffer]) => {
+    const tab = openTabs.get(tabId);
+    if (tab && getVideoKey(tab.url) === buffer.videoKey) {
+      finishedBuffers.set(tabId, buffer);
+    }
+  });
+  
+  console.log(`[YT Force Buffer] Restored ${activeBuffers.size} buffer session(s) after a service worker restart`);
+  persistSessionState();
+};
+
+// Settles once the previous service worker's sessions are back; event handlers wait for it
+const sessionStateReady = restoreSessionState().catch((error) => {
+  console.log(`[YT Force Buffer] Could not restore session state: ${error}`);
+});
+
+// Forward a popup command to the content script running in the given tab
+const sendCommandToTab = (tabId, command, sendResponse) => {
+  if (!POPUP_COMMANDS.includes(command)) {
+    sendResponse({ ok: false, error: `Unknown command: ${command}` });
+    return;
+  }
+  
+  sendTabCommand(tabId, command, (response) => {
+    if (!response.ok && response.error) {
+      console.log(`[YT Force Buffer] Could not send ${command} to tab ${tabId}: ${response.error}`);
+    }
+    sendResponse(response);
+  });
+};
+
+// Open port of each tab's content script, which carries its reports and the commands sent to it
+const tabPorts = new Map();
+
+// Commands sent over a port that wait for the content script's answer, by request id
+const pendingCommands = new Map();
+let nextCommandRequestId = 1;
+
+// How long a command sent over a port waits for its answer (ms)
+const COMMAND_TIMEOUT = 5000;
+
+// Answer a command sent over a port, once
+const settleCommand = (requestId, response) => {
+  const pending = pendingCommands.get(requestId);
+  if (!pending) return;
+  
+  clearTimeout(pending.timer);
+  pendingCommands.delete(requestId);
+  pending.callback(response);
+};
+
+// Send a command to a tab's content script over its port, or as a one-off message while the tab has none open
+// (it reconnects with its next report after a service worker restart)
+const sendTabCommand = (tabId, command, callback) => {
+  const port = tabPorts.get(tabId);
+  if (!port) {
+    chrome.tabs.sendMessage(tabId, createMessage(MESSAGE_TYPES.BUFFER_COMMAND, { command }), (response) => {
+      if (chrome.runtime.lastError) {
+        callback({ ok: false, error: chrome.runtime.lastError.message });
+        return;
+      }
+      callback(response || { ok: false, error: 'No answer from the tab' });
+    });
+    return;
+  }
+  
+  const requestId = nextCommandRequestId++;
+  pendingCommands.set(requestId, {
+    port,
+    callback,
+    timer: setTimeout(() => settleCommand(requestId, { ok: false, error: 'The tab did not answer in time' }), COMMAND_TIMEOUT)
+  });
+  
+  try {
+    port.postMessage(createMessage(MESSAGE_TYPES.BUFFER_COMMAND, { command, requestId }));
+  } catch (error) {
+    settleCommand(requestId, { ok: false, error: error.message });
+  }
+};
+
+// Handle a message arriving over a tab's port
+const handlePortMessage = (message, port) => {
+  switch (message.type) {
+    case MESSAGE_TYPES.HEARTBEAT:
+      port.postMessage(createMessage(MESSAGE_TYPES.HEARTBEAT));
+      break;
+      
+    case MESSAGE_TYPES.COMMAND_RESULT:
+      settleCommand(message.requestId, { ok: message.ok });
+      break;
+      
+    case MESSAGE_TYPES.DATA_USAGE:
+      // Video bytes the content script measured since its last report
+      if (message.bytes > 0) {
+        recordDataUsage(message.bytes);
+      }
+      break;
+      
+    case MESSAGE_TYPES.BUFFER_STATUS:
+      // The port's sender tab keeps the URL and title from when it connected, which in-page navigation leaves behind
+      handleBufferStatus(message.data, { ...port.sender.tab, url: message.page.url, title: message.page.title });
+      break;
+      
+    default:
+      console.log(`[YT Force Buffer] Ignored ${message.type} message from tab ${port.sender.tab.id}`);
+  }
+};
+
+// Handle a request from the popup; every request gets an answer
+const handleMessage = (message, sendResponse) => {
+  switch (message.type) {
+    case MESSAGE_TYPES.GET_BUFFER_SESSIONS:
+      sendResponse({ sessions: getSessionSnapshots() });
+      break;
+      
+    case MESSAGE_TYPES.BUFFER_COMMAND:
+      sendCommandToTab(message.tabId, message.command, sendResponse);
+      break;
+      
+    default:
+      sendResponse({ ok: false, error: `Unexpected ${message.type} message` });
+  }
+};
+
+// Handle a status report from the content script of a tab
+const handleBufferStatus = (data, tab) => {
+  const tabId = tab.id;
+  
+  // Get quality and video type info
+  const qualityInfo = formatQuality(data.quality);
+  const videoTypeInfo = formatVideoType(data.isShorts, data.video, data.streamType);
+  
+  // Every status carries the state of the rules that can hold back or slow down forcing
+  if (data.rules && activeBuffers.has(tabId)) {
+    activeBuffers.get(tabId).rules = data.rules;
+  }
+  
+  // Handle different status updates
+  switch(data.status) {
+    case 'started':
+      // Start tracking this buffer session, or continue it after a restart for a quality change or a refill
+      activeBuffers.set(tabId, createBufferSession(data, tab, activeBuffers.get(tabId), finishedBuffers.get(tabId)));
+      finishedBuffers.delete(tabId);
+      setBadge(tab, 'buffering', '0%', 'Buffering 0%');
+      console.log(`[YT Force Buffer] Started buffering${videoTypeInfo}${qualityInfo}`);
+      break;
+      
+    case 'progress':
+      // Update progress
+      if (activeBuffers.has(tabId)) {
+        const buffer = activeBuffers.get(tabId);
+        buffer.progress = data.progress;
+        buffer.speed = data.speed;
+        buffer.seeks = data.attempts;
+        buffer.title = getVideoTitle(data, tab) || buffer.title;
+        if (data.video) {
+          buffer.channel = data.video.channel;
+        }
+        
+        if (buffer.status === 'buffering') {
+          setBadge(tab, 'buffering', `${data.progress}%`, `Buffering ${data.progress}%`);
+        }
         
-      case 'progress':
-        // Update progress
-        if (activeBuffers.has(tabId)) {
-          const buffer = activeBuffers.get(tabId);
-          buffer.progress = data.progress;
-          buffer.speed = data.speed;
-          
-          // Only log every 10% or when speed changes significantly
-          if (data.progress % 10 === 0 || data.progress === 25 || data.progress === 75) {
-            const elapsedTime = formatElapsedTime((Date.now() - buffer.startTime) / 1000);
-            console.log(`[YT Force Buffer] Buffering: ${data.progress}% complete${videoTypeInfo}${qualityInfo}, Speed: ${data.speed}s/s, Elapsed: ${elapsedTime}`);
-          }
+        // Only log every 10% or when speed changes significantly
+        if (data.progress % 10 === 0 || data.progress === 25 || data.progress === 75) {
+          const elapsedTime = formatElapsedTime(getSessionTime(buffer));
+          console.log(`[YT Force Buffer] Buffering: ${data.progress}% complete${videoTypeInfo}${qualityInfo}, Speed: ${data.speed}s/s, Elapsed: ${elapsedTime}`);
+        }
+      }
+      break;
+      
+    case 'quality_change':
+      console.log(`[YT Force Buffer] Quality changed${videoTypeInfo} from ${data.from} to ${data.to}`);
+      
+      // Update stored quality if we're tracking this session
+      if (activeBuffers.has(tabId)) {
+        const buffer = activeBuffers.get(tabId);
+        buffer.quality = data.to;
+        buffer.qualityChanges++;
+      }
+      break;
+      
+    case 'restarting':
+      // Quality changed mid-session, a new 'started' follows shortly and continues the session
+      if (activeBuffers.has(tabId)) {
+        const buffer = activeBuffers.get(tabId);
+        buffer.restarting = true;
+        buffer.seeks = data.attempts;
+        buffer.previousBytes += data.bytes || 0;
+      }
+      setBadge(tab, 'restarting', null, `Restarting after quality change to ${data.quality}`);
+      console.log(`[YT Force Buffer] Restarting buffering${videoTypeInfo}${qualityInfo} after quality change`);
+      break;
+      
+    case 'complete':
+      if (data.fullyBuffered) {
+        setBadge(tab, 'complete', null, data.capped
+          ? 'Buffered as much as the player keeps'
+          : (data.mode === 'ahead' ? 'Buffer-ahead target reached' : 'Fully buffered'));
+      } else {
+        setBadge(tab, 'incomplete', null, `Stopped before the end after ${data.attempts} seeks`);
+      }
+      
+      // Calculate total time
+      if (activeBuffers.has(tabId)) {
+        const buffer = activeBuffers.get(tabId);
+        const totalTime = getSessionTime(buffer);
+        if (data.fullyBuffered && data.capped) {
+          console.log(`[YT Force Buffer] Buffered as much as the player keeps${videoTypeInfo}${qualityInfo} in ${formatElapsedTime(totalTime)} (${data.attempts} seeks)`);
+        } else if (data.fullyBuffered && data.mode === 'ahead') {
+          console.log(`[YT Force Buffer] Reached buffer-ahead target${videoTypeInfo}${qualityInfo} in ${formatElapsedTime(totalTime)} (${data.attempts} seeks)`);
+        } else if (data.fullyBuffered) {
+          console.log(`[YT Force Buffer] Finished buffering${videoTypeInfo}${qualityInfo} in ${formatElapsedTime(totalTime)} (${data.attempts} seeks, ${(data.bytes / 1048576).toFixed(1)} MB)`);
+        } else {
+          console.log(`[YT Force Buffer] Gave up buffering${videoTypeInfo}${qualityInfo} after ${formatElapsedTime(totalTime)} (${data.attempts} seeks)`);
         }
-        break;
         
-      case 'quality_change':
-        console.log(`[YT Force Buffer] Quality changed${videoTypeInfo} from ${data.from} to ${data.to}`);
+        // Keep the result, then set the session aside in case forcing starts again on this video
+        recordSessionHistory(buffer, data.fullyBuffered ? 'complete' : (data.gaveUp ? 'gave_up' : 'stopped'), data);
+        finishBufferSession(tabId, buffer, data, tab);
+      } else {
+        console.log(`[YT Force Buffer] Finished buffering${videoTypeInfo}${qualityInfo}`);
+      }
+      break;
+      
+    case 'paused':
+    case 'yielded':
+    case 'resumed':
+    case 'ad_started':
+    case 'ad_ended':
+    case 'queued':
+    case 'dequeued':
+      if (activeBuffers.has(tabId)) {
+        const buffer = activeBuffers.get(tabId);
+        buffer.status = { paused: 'paused', yielded: 'waiting', ad_started: 'ad', queued: 'queued' }[data.status] || 'buffering';
         
-        // Update stored quality if we're tracking this session
-        if (activeBuffers.has(tabId)) {
-          const buffer = activeBuffers.get(tabId);
-          buffer.quality = data.to;
+        // A session resumed while still held waits in the queue until the next rebalance releases it
+        if (buffer.held && buffer.status === 'buffering') {
+          buffer.status = 'queued';
         }
-        break;
         
-      case 'complete':
-        // Calculate total time
-        if (activeBuffers.has(tabId)) {
-          const buffer = activeBuffers.get(tabId);
-          const totalTime = (Date.now() - buffer.startTime) / 1000;
-          console.log(`[YT Force Buffer] Finished buffering${videoTypeInfo}${qualityInfo} in ${formatElapsedTime(totalTime)} (${data.attempts} seeks)`);
-          
-          // Clean up
-          activeBuffers.delete(tabId);
-        } else {
-          console.log(`[YT Force Buffer] Finished buffering${videoTypeInfo}${qualityInfo}`);
+        // Time spent on ads is left out of the session's elapsed time
+        if (buffer.status === 'ad' && !buffer.adStart) {
+          buffer.adStart = Date.now();
+        } else if (buffer.status !== 'ad' && buffer.adStart) {
+          buffer.adTime += Date.now() - buffer.adStart;
+          buffer.adStart = null;
         }
-        break;
         
-      default:
-        console.log(`[YT Force Buffer] Buffer status: ${data.status}${videoTypeInfo}${qualityInfo}`);
-    }
+        if (buffer.status === 'queued') {
+          setBadge(tab, 'queued', null, `Queued behind other tabs at ${buffer.progress}%`);
+        } else if (buffer.status === 'ad') {
+          setBadge(tab, 'ad', null, `Waiting for the ad to end at ${buffer.progress}%`);
+        } else if (buffer.status === 'paused') {
+          setBadge(tab, 'paused', null, `Paused at ${buffer.progress}%`);
+        } else if (buffer.status === 'waiting') {
+          setBadge(tab, 'waiting', null, `Waiting for playback to pause at ${buffer.progress}%`);
+        } else {
+          setBadge(tab, 'buffering', `${buffer.progress}%`, `Buffering ${buffer.progress}%`);
+        }
+      }
+      console.log(`[YT Force Buffer] Buffering ${data.status}${videoTypeInfo}${qualityInfo}`);
+      break;
+      
+    case 'prefetch':
+      // Upcoming Shorts are buffered next to the visible one's session, which stays untouched
+      console.log(`[YT Force Buffer] Pre-buffered an upcoming Short in ${data.attempts} seeks (${data.ready}/${data.total} ready)`);
+      break;
+      
+    case 'up_next':
+      console.log(`[YT Force Buffer] Warmed up the next video (${data.nextVideoId}): ${formatElapsedTime(data.seconds)} buffered, ${(data.bytes / 1048576).toFixed(1)} MB${data.limited ? ', stopped at the data limit' : ''}${data.ruledOut ? ', stopped by a data budget, network or battery rule' : ''}`);
+      break;
+      
+    case 'budget_reached':
+      if (data.action === 'stop') {
+        setBadge(tab, 'budget', null, `Data budget used up (${formatDataUsage(data)}), not buffering`);
+        console.log(`[YT Force Buffer] Data budget used up (${formatDataUsage(data)}), not buffering${videoTypeInfo}`);
+      } else {
+        console.log(`[YT Force Buffer] Data budget used up (${formatDataUsage(data)}), buffering ahead only${videoTypeInfo}`);
+      }
+      break;
+      
+    case 'network_policy':
+      if (data.policy === 'off') {
+        setBadge(tab, 'network', null, `Not buffering on this network${formatNetworkRules(data.rules)}`);
+        console.log(`[YT Force Buffer] Not buffering on this network${formatNetworkRules(data.rules)}${videoTypeInfo}`);
+      } else {
+        // Forcing may resume right away, which sets the badge again
+        if (data.previous === 'off') {
+          clearBadge(tabId);
+        }
+        console.log(data.policy === 'ahead'
+          ? `[YT Force Buffer] Buffering ahead only on this network${formatNetworkRules(data.rules)}${videoTypeInfo}`
+          : `[YT Force Buffer] Network allows full buffering again${videoTypeInfo}`);
+      }
+      break;
+      
+    case 'evicted':
+      // The player dropped buffered video to stay within its memory quota
+      console.log(`[YT Force Buffer] Player evicted ${formatElapsedTime(data.lostSeconds)} buffered ahead of the playhead${videoTypeInfo}${qualityInfo}, keeps about ${formatElapsedTime(data.capacity)}; ${data.handling === 'cap' ? 'capping the target' : 're-buffering near the playhead'}`);
+      break;
+      
+    case 'battery_policy':
+      if (data.paused) {
+        setBadge(tab, 'battery', null, `Battery low (${data.battery ? data.battery.level : '?'}%), not buffering until the charger is connected`);
+        console.log(`[YT Force Buffer] Battery low, not buffering until the charger is connected${videoTypeInfo}`);
+      } else {
+        // Forcing may resume right away, which sets the badge again
+        clearBadge(tabId);
+        console.log(`[YT Force Buffer] Battery no longer low, buffering may continue${videoTypeInfo}`);
+      }
+      break;
+      
+    case 'mode_changed':
+      // Chosen with the keyboard shortcut for this video only
+      flashBadge(tabId, data.mode === 'ahead' ? 'AHD' : 'FULL');
+      console.log(`[YT Force Buffer] Buffering mode switched to ${data.mode === 'ahead' ? 'buffer ahead' : 'whole video'}${data.effectiveMode !== data.mode ? ` (${data.effectiveMode} while a rule applies)` : ''}${videoTypeInfo}`);
+      break;
+      
+    case 'visibility':
+      console.log(`[YT Force Buffer] Tab ${data.hidden ? 'hidden, checking the buffer less often' : 'visible again'}${videoTypeInfo}`);
+      break;
+      
+    case 'stream_type':
+      if (data.forcing) {
+        console.log(data.streamType === 'dvr'
+          ? `[YT Force Buffer] Buffering behind the live edge${videoTypeInfo}`
+          : `[YT Force Buffer] Stream is now a regular video, buffering it${videoTypeInfo}`);
+      } else if (data.streamType === 'upcoming') {
+        setBadge(tab, 'live', null, 'Waiting for the stream or Premiere to start');
+        console.log(`[YT Force Buffer] Waiting for the stream or Premiere to start${videoTypeInfo}`);
+      } else {
+        setBadge(tab, 'live', null, 'Live stream, not buffering');
+        console.log(`[YT Force Buffer] Live stream, not buffering${videoTypeInfo}`);
+      }
+      break;
+      
+    case 'stopped':
+      console.log(`[YT Force Buffer] Stopped buffering${videoTypeInfo}${qualityInfo} after ${data.attempts} seeks`);
+      if (activeBuffers.has(tabId)) {
+        recordSessionHistory(activeBuffers.get(tabId), 'stopped', data);
+      }
+      activeBuffers.delete(tabId);
+      finishedBuffers.delete(tabId);
+      clearBadge(tabId);
+      break;
+      
+    default:
+      console.log(`[YT Force Buffer] Buffer status: ${data.status}${videoTypeInfo}${qualityInfo}`);
+  }
+  
+  if (SCHEDULING_STATUSES.includes(data.status)) {
+    rebalanceTabs();
+  }
+  persistSessionState();
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const error = validateMessage(message);
+  if (error) {
+    sendResponse({ ok: false, error });
+    return false;
   }
+  
+  // Sessions from before a service worker restart must be back before any request reads or changes them
+  sessionStateReady.then(() => handleMessage(message, sendResponse));
   return true;
 });
 
+// Each YouTube tab's content script keeps a port open to report its session and receive commands
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== PORT_NAME || !port.sender || !port.sender.tab) {
+    port.disconnect();
+    return;
+  }
+  
+  const tabId = port.sender.tab.id;
+  tabPorts.set(tabId, port);
+  
+  port.onMessage.addListener((message) => {
+    const error = validateMessage(message);
+    if (error) {
+      console.log(`[YT Force Buffer] Rejected a message from tab ${tabId}: ${error}`);
+      return;
+    }
+    sessionStateReady.then(() => handlePortMessage(message, port));
+  });
+  
+  port.onDisconnect.addListener(() => {
+    if (tabPorts.get(tabId) === port) {
+      tabPorts.delete(tabId);
+    }
+    
+    // Commands still waiting on this port will not be answered
+    pendingCommands.forEach((pending, requestId) => {
+      if (pending.port === port) {
+        settleCommand(requestId, { ok: false, error: 'The tab disconnected' });
+      }
+    });
+  });
+});
+
+// Tab command sent by each keyboard shortcut in the manifest; users remap the keys at chrome://extensions/shortcuts
+const SHORTCUT_COMMANDS = {
+  'toggle-forcing': 'toggle',
+  'buffer-from-here': 'restart',
+  'stop-forcing': 'stop',
+  'cycle-buffer-mode': 'cycleMode'
+};
+
+// Route keyboard shortcuts to the content script of the tab they were pressed in
+chrome.commands.onCommand.addListener((name, tab) => {
+  const command = SHORTCUT_COMMANDS[name];
+  if (!command || !tab || !getVideoKey(tab.url)) return;
+  
+  sessionStateReady.then(() => {
+    sendTabCommand(tab.id, command, (response) => {
+      if (!response.ok) {
+        // Nothing to control in this tab yet, like before the player loads
+        flashBadge(tab.id, '✕');
+        console.log(`[YT Force Buffer] Shortcut ${name} did nothing in tab ${tab.id}${response.error ? `: ${response.error}` : ''}`);
+      }
+    });
+  });
+});
+
 // Listen for tab close events to clean up tracking
 chrome.tabs.onRemoved.addListener((tabId) => {
-  if (activeBuffers.has(tabId)) {
-    activeBuffers.delete(tabId);
+  sessionStateReady.then(() => {
+    if (activeBuffers.has(tabId)) {
+      recordSessionHistory(activeBuffers.get(tabId), 'closed');
+      activeBuffers.delete(tabId);
+      rebalanceTabs();
+    }
+    finishedBuffers.delete(tabId);
+    clearBadge(tabId);
+    persistSessionState();
+  });
+});
+
+// The tab being watched moves to the front of the queue
+chrome.tabs.onActivated.addListener(() => {
+  sessionStateReady.then(updateFocusedTab);
+});
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    sessionStateReady.then(updateFocusedTab);
   }
 });
 
+// Load the concurrency limit and follow changes from the options page
+chrome.storage.sync.get('settings', (result) => {
+  applySchedulerSettings(result.settings);
+  sessionStateReady.then(updateFocusedTab);
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.settings) {
+    applySchedulerSettings(changes.settings.newValue);
+    sessionStateReady.then(rebalanceTabs);
+  }
+});
+
+// Clear the badge and the finished session once a tab navigates away from the video they describe
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  
+  sessionStateReady.then(() => {
+    if (badgeVideos.has(tabId) && badgeVideos.get(tabId) !== getVideoKey(changeInfo.url)) {
+      clearBadge(tabId);
+      persistSessionState();
+    }
+    if (finishedBuffers.has(tabId) && finishedBuffers.get(tabId).videoKey !== getVideoKey(changeInfo.url)) {
+      finishedBuffers.delete(tabId);
+      persistSessionState();
+    }
+  });
+});
+
 // Listen for extension install or update
 chrome.runtime.onInstalled.addListener((details) => {
   console.log(`[YT Force Buffer] Extension ${details.reason}ed`);
@@ -10,19 +10,59 @@
 (function() {
   'use strict';
   
+  // Message schema shared with the background script, loaded ahead of this file from protocol.js
+  const { PORT_NAME, HEARTBEAT_INTERVAL, MESSAGE_TYPES, createMessage, validateMessage } = YTForceBufferProtocol;
+  
   // Configuration
   const config = {
     checkInterval: 1000,           // How often to check video buffer status (ms)
     shortVideoThreshold: 300,      // Videos under this length (seconds) are considered short
+    longFormMinutes: 20,           // Videos at least this long (minutes) use the long-form strategy
+    strategyRegular: 'adaptive',   // Buffering strategy for regular videos: 'adaptive', 'exponential' or 'throughput'
+    strategyShorts: 'adaptive',    // Buffering strategy for Shorts
+    strategyLongForm: 'adaptive',  // Buffering strategy for long-form videos
+    throughputTarget: 5,           // Buffer growth the throughput strategy aims for (seconds of video per second)
+    strategyMaxBackoff: 3000,      // Longest extra wait a strategy may add between cycles (ms)
     adaptiveSeekMinimum: 5,        // Minimum seek step size (seconds)
     adaptiveSeekMaximum: 60,       // Maximum seek step size (seconds)
     shortsSeekStepSize: 5,         // Smaller seek step size for Shorts (seconds)
+    shortsPrefetchCount: 2,        // Upcoming Shorts in the feed to pre-buffer (0 disables)
+    upNextPrefetch: false,         // Warm up the next playlist or autoplay video once the current one is buffered
+    upNextPrefetchMinutes: 2,      // How much of the next video to buffer (minutes)
+    upNextPrefetchMegabytes: 50,   // Data the warm-up may spend before it stops (MB)
+    dataBudgetPeriod: 'off',       // Data budget period: 'off', 'daily' or 'monthly'
+    dataBudgetMegabytes: 1000,     // Video data allowed per period (MB)
+    dataBudgetAction: 'stop',      // Once the budget is spent: 'stop' forcing, or drop to buffer 'ahead' mode
+    dataUsageFlushInterval: 5000,  // How often measured bytes are added to the persisted totals (ms)
+    saveDataPolicy: 'full',        // With the browser's Save-Data hint on: 'full', buffer 'ahead' only, or 'off'
+    cellularPolicy: 'full',        // On cellular connections: 'full', 'ahead' or 'off'
+    slowNetworkPolicy: 'full',     // On 3G-class or slower connections: 'full', 'ahead' or 'off'
+    slowNetworkTypes: ['slow-2g', '2g', '3g'], // Effective connection types treated as slow
+    slowNetworkDownlink: 1.5,      // Estimated downlink (Mbps) below which a connection is treated as slow
+    batteryPausePercent: 20,       // Pause forcing below this battery level while unplugged (0 disables)
+    hiddenCheckInterval: 5000,     // Check interval while the tab is hidden (ms)
     maxSeekAttempts: 500,          // Maximum number of seek attempts (increased from 100)
     logPrefix: '[YT Force Buffer]', // Log prefix for consistent identification
     debugMode: true,               // Enable console logging for debugging
     retryDelayIncrement: 50,       // Incremental delay for retries (ms)
     connectionSpeedSampleSize: 5,  // Number of samples to determine connection speed
-    qualityChangeThreshold: 500    // Time to wait after quality change (ms)
+    qualityChangeThreshold: 500,   // Time to wait after quality change (ms)
+    bufferQuality: 'current',      // Quality held while forcing: 'current', 'max', a player level like 'hd1080', or 'auto' to not pin
+    gapFillOrder: 'nearest',       // Fill buffer gaps 'nearest' first or 'largest' first
+    gapTolerance: 0.5,             // Holes up to this size (seconds) count as buffered
+    watchWhileBuffering: false,    // Only force while the video is paused and yield to user playback
+    probeTimeout: 2000,            // Longest wait for the player to react to a forcing seek (ms)
+    bufferMode: 'full',            // 'full' buffers the whole video, 'ahead' keeps a rolling window
+    bufferAheadValue: 5,           // Size of the buffer-ahead window
+    bufferAheadUnit: 'minutes',    // Unit of bufferAheadValue: 'minutes' or 'percent' of the duration
+    bufferAheadRefillRatio: 0.8,   // Idle buffer-ahead sessions restart below this share of the window
+    liveBuffering: 'idle',         // Live streams: 'idle', or 'behindEdge' to buffer DVR streams watched behind live
+    liveEdgeMargin: 30,            // Distance from the live edge (seconds) left alone, since segments there are still arriving
+    dvrMinimumWindow: 60,          // Seekable window (seconds) above which a live stream counts as DVR without bridge data
+    evictionHandling: 'rebuffer',  // After the player evicts buffered ranges: 'rebuffer' them near the playhead, or 'cap' the target
+    evictionMinimum: 5,            // Buffered seconds ahead of the playhead that must disappear to count as an eviction
+    evictionCapRatio: 0.9,         // Share of the observed buffer capacity forcing aims to fill after an eviction
+    showOverlay: true              // Draw buffered ranges and a status chip with controls inside the player
   };
   
   // State management
@@ -31,18 +71,36 @@
     originalPlaybackRate: 1,
     originalPlaybackTime: 0,
     isBuffering: false,
+    isPaused: false,               // Forcing paused from the popup
+    isHeld: false,                 // Forcing queued by the background scheduler while other tabs use the slots
+    isStopped: false,              // Forcing stopped from the popup for the current video
+    isYielding: false,             // Forcing suspended while the user plays (watch-while-buffering)
+    isSuspended: false,            // Forcing of a running session halted by a pause or hold, continued by the next check
+    gaveUp: false,                 // Forcing hit maxSeekAttempts for the current video
+    internalSeekTarget: null,      // Target of the extension's own pending seek, to tell it from user seeks
+    playbackListeners: null,       // Media event handlers attached to the monitored video
     seekAttempts: 0,
-    bufferCheckInterval: null,
+    isMonitoring: false,
     lastKnownQuality: null,
     isShorts: false,
-    videoObserver: null,
+    qualityWatcher: null,          // Resize handler attached to the monitored video
+    pinnedQuality: null,           // Player quality level held for the current video, if any
+    pinApplied: false,             // Whether the player has reached the pinned level yet
+    streamType: null,              // 'vod', 'live', 'dvr' or 'upcoming' for the monitored video
+    isAdPlaying: false,            // The video element is carrying an ad instead of the content
+    budgetReported: false,         // The spent data budget was already reported for this video
+    reportedNetworkPolicy: null,   // Network policy last reported for this video
+    reportedBatteryLow: null,      // Low-battery pause last reported for this video
+    sessionStartBytes: 0,          // Measured media bytes when the current forcing session started
     connectionSpeedSamples: [],
-    lastBufferEnd: 0,
+    lastBufferedSeconds: 0,
     lastBufferTime: 0,
     consecutiveFailedAttempts: 0,
     qualityChangeDetected: false,
-    bufferingStrategy: 'normal', // normal, aggressive, conservative
-    seekStepMultiplier: 1,
+    bufferingStrategy: null,       // Strategy instance deciding seek steps and back-off, see bufferingStrategies
+    bufferingStrategyName: null,   // Registry name of that strategy
+    bufferProgress: null,          // Share of the target covered (%) and buffer speed (s/s) at the last cycle
+    bufferModeOverride: null,      // Buffering mode picked with the keyboard shortcut for the current video
     reconnectAttempts: 0
   };
 
@@ -50,7 +108,7 @@
   const connectionTracker = {
     samples: [],
     lastSampleTime: 0,
-    lastBufferedBytes: 0,
+    lastMeasuredBytes: 0,
 
     addSample(bytesPerSecond) {
       this.samples.push(bytesPerSecond);
@@ -68,714 +126,3447 @@
     reset() {
       this.samples = [];
       this.lastSampleTime = 0;
-      this.lastBufferedBytes = 0;
+      this.lastMeasuredBytes = 0;
     },
 
-    update(video) {
-      if (!video || !video.buffered || video.buffered.length === 0) return;
-
+    update() {
       const now = Date.now();
-      const bufferedBytes = calculateBufferedBytes(video);
+      const measuredBytes = mediaBytes.total;
 
       if (this.lastSampleTime > 0) {
         const elapsedTime = (now - this.lastSampleTime) / 1000; // convert to seconds
-        if (elapsedTime > 0 && bufferedBytes > this.lastBufferedBytes) {
-          const bytesPerSecond = (bufferedBytes - this.lastBufferedBytes) / elapsedTime;
+        if (elapsedTime > 0 && measuredBytes > this.lastMeasuredBytes) {
+          const bytesPerSecond = (measuredBytes - this.lastMeasuredBytes) / elapsedTime;
           this.addSample(bytesPerSecond);
         }
       }
 
       this.lastSampleTime = now;
-      this.lastBufferedBytes = bufferedBytes;
+      this.lastMeasuredBytes = measuredBytes;
     }
   };
   
-  /**
-   * Estimates the buffered bytes based on video properties
-   * @param {HTMLVideoElement} video - The video element
-   * @returns {number} - Estimated buffered bytes
-   */
-  const calculateBufferedBytes = (video) => {
-    if (!video || !video.buffered || video.buffered.length === 0) {
-      return 0;
-    }
-
-    const videoHeight = video.videoHeight || 720;
-    const videoWidth = video.videoWidth || 1280;
-    const duration = video.duration || 0;
+  // Storage key of the persisted data usage totals, kept by background.js
+  const DATA_USAGE_STORAGE_KEY = 'dataUsage';
+  
+  // Media bytes this page downloaded, measured from Resource Timing of the googlevideo videoplayback requests
+  const mediaBytes = {
+    total: 0,
+    unreported: 0,
+    lastFlush: 0,
+    observer: null,
     
-    // Estimate bitrate based on resolution
-    let bitrateFactor = 0.5; // Default
-    if (videoHeight >= 1080) bitrateFactor = 1.5;
-    else if (videoHeight >= 720) bitrateFactor = 1.0;
-    else if (videoHeight >= 480) bitrateFactor = 0.7;
+    start() {
+      if (typeof PerformanceObserver === 'undefined') {
+        return;
+      }
+      
+      this.lastFlush = Date.now();
+      this.observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          if (entry.name.includes('videoplayback')) {
+            this.add(entry.transferSize || entry.encodedBodySize || 0);
+          }
+        });
+        
+        if (Date.now() - this.lastFlush >= config.dataUsageFlushInterval) {
+          this.flush();
+        }
+      });
+      
+      // Buffered entries include what the page loaded before this script ran
+      this.observer.observe({ type: 'resource', buffered: true });
+    },
     
-    // Calculate bytes per second of video
-    const bytesPerSecond = bitrateFactor * videoWidth * videoHeight / 8;
+    stop() {
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+    },
     
-    // Calculate total buffered duration
-    let bufferedDuration = 0;
-    for (let i = 0; i < video.buffered.length; i++) {
-      bufferedDuration += (video.buffered.end(i) - video.buffered.start(i));
-    }
+    /**
+     * Counts bytes downloaded outside this page's own timeline, like the up-next warm-up player
+     * @param {number} bytes - Bytes downloaded
+     */
+    add(bytes) {
+      this.total += bytes;
+      this.unreported += bytes;
+    },
     
-    return bytesPerSecond * bufferedDuration;
-  };
-  
-  /**
-   * Debug logger that only logs when debug mode is enabled
-   */
-  const debugLog = (...args) => {
-    if (config.debugMode) {
-      console.log(config.logPrefix, ...args);
+    /**
+     * Hands the bytes measured since the last flush to background.js for the persisted totals
+     */
+    flush() {
+      this.lastFlush = Date.now();
+      if (this.unreported === 0) {
+        return;
+      }
+      
+      // Bytes that could not be handed over are kept for the next flush
+      if (backgroundPort.post(createMessage(MESSAGE_TYPES.DATA_USAGE, { bytes: this.unreported }))) {
+        this.unreported = 0;
+      }
     }
   };
   
   /**
-   * Checks if the current page is a YouTube Shorts page
-   * @returns {boolean} - Whether the current page is a Shorts page
+   * Identifies the budget periods a date falls in, in local time
+   * @param {Date} [date=new Date()] - The date
+   * @returns {{day: string, month: string}} - 'YYYY-MM-DD' and 'YYYY-MM'
    */
-  const checkIfShorts = () => {
-    return window.location.href.includes('youtube.com/shorts');
+  const getUsagePeriods = (date = new Date()) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    return { day: `${month}-${pad(date.getDate())}`, month };
   };
   
-  /**
-   * Gets the current video quality if possible
-   * @returns {string|null} - The current video quality or null if unavailable
-   */
-  const getCurrentVideoQuality = () => {
-    try {
-      // First try to get quality from YouTube's player API
-      const playerElement = document.querySelector('.html5-video-player');
-      if (playerElement && playerElement.getPlaybackQuality) {
-        return playerElement.getPlaybackQuality();
-      }
+  // Daily or monthly data cap, checked against the totals background.js persists
+  const dataBudget = {
+    usage: null,
+    
+    start() {
+      chrome.storage.local.get(DATA_USAGE_STORAGE_KEY, (result) => {
+        this.usage = result[DATA_USAGE_STORAGE_KEY] || null;
+      });
       
-      // Try to get from quality menu if available
-      const qualityMenuItem = document.querySelector('.ytp-settings-button + .ytp-panel .ytp-quality-menu .ytp-menuitem[aria-checked="true"]');
-      if (qualityMenuItem) {
-        return qualityMenuItem.textContent.trim();
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[DATA_USAGE_STORAGE_KEY]) {
+          return;
+        }
+        
+        const wasExhausted = this.isExhausted();
+        this.usage = changes[DATA_USAGE_STORAGE_KEY].newValue || null;
+        if (!wasExhausted && this.isExhausted() && state.isMonitoring) {
+          bufferScheduler.wake();
+        }
+      });
+    },
+    
+    /**
+     * Gets the bytes used in the current budget period
+     * @returns {number} - Bytes used
+     */
+    getUsedBytes() {
+      const usage = this.usage;
+      if (!usage) {
+        return 0;
       }
       
-      // Fallback: try to estimate from video height
-      if (state.videoElement) {
-        const videoHeight = state.videoElement.videoHeight;
-        if (videoHeight >= 2160) return '4K/2160p';
-        if (videoHeight >= 1440) return '1440p';
-        if (videoHeight >= 1080) return '1080p';
-        if (videoHeight >= 720) return '720p';
-        if (videoHeight >= 480) return '480p';
-        if (videoHeight >= 360) return '360p';
-        if (videoHeight >= 240) return '240p';
-        return `${videoHeight}p`;
+      const periods = getUsagePeriods();
+      if (config.dataBudgetPeriod === 'monthly') {
+        return usage.month === periods.month ? usage.monthBytes : 0;
       }
-    } catch (error) {
-      debugLog('Error getting video quality:', error);
+      return usage.day === periods.day ? usage.dayBytes : 0;
+    },
+    
+    isExhausted() {
+      return config.dataBudgetPeriod !== 'off' && this.getUsedBytes() >= config.dataBudgetMegabytes * 1024 * 1024;
     }
-    return null;
   };
   
-  /**
-   * Checks if the video is fully buffered
-   * @param {HTMLVideoElement} video - The video element to check
-   * @returns {boolean} - Whether the video is fully buffered
-   */
-  const isVideoFullyBuffered = (video) => {
-    if (!video || !video.buffered || video.buffered.length === 0) {
-      return false;
-    }
+  // Network policies from least to most restrictive
+  const NETWORK_POLICIES = ['full', 'ahead', 'off'];
+  
+  // Policy rules driven by the Network Information API, re-evaluated whenever the connection changes
+  const networkPolicy = {
+    connection: null,
+    current: 'full',
+    onChange: null,
     
-    // Get the buffered range that contains the current time
-    const currentTime = video.currentTime;
-    const duration = video.duration;
+    start() {
+      // Only Chromium browsers expose navigator.connection; elsewhere no rule ever matches
+      this.connection = navigator.connection || null;
+      if (!this.connection) {
+        return;
+      }
+      
+      this.current = this.evaluate();
+      this.onChange = () => this.update();
+      this.connection.addEventListener('change', this.onChange);
+    },
     
-    // If we can't determine duration, we can't know if it's fully buffered
-    if (isNaN(duration) || !isFinite(duration)) {
-      return false;
-    }
+    stop() {
+      if (this.connection && this.onChange) {
+        this.connection.removeEventListener('change', this.onChange);
+      }
+      this.onChange = null;
+    },
     
-    // For each buffered range, check if we have buffered to near the end
-    for (let i = 0; i < video.buffered.length; i++) {
-      const start = video.buffered.start(i);
-      const end = video.buffered.end(i);
+    /**
+     * Describes the connection as reported by the browser
+     * @returns {Object|null} - Save-Data hint, connection type, effective type and downlink (Mbps)
+     */
+    describe() {
+      const connection = this.connection;
+      if (!connection) {
+        return null;
+      }
       
-      // If this range covers from current position to near the end, video is fully buffered
-      // We consider 0.5 seconds from the end as "fully buffered"
-      if (start <= currentTime && end >= duration - 0.5) {
-        return true;
+      return {
+        saveData: Boolean(connection.saveData),
+        type: connection.type || null,
+        effectiveType: connection.effectiveType || null,
+        downlink: typeof connection.downlink === 'number' ? connection.downlink : null
+      };
+    },
+    
+    /**
+     * Finds the rules the current connection matches
+     * @returns {string[]} - Names of the matching rules: 'saveData', 'cellular' and 'slow'
+     */
+    getMatchingRules() {
+      const network = this.describe();
+      if (!network) {
+        return [];
       }
-    }
+      
+      const rules = [];
+      if (network.saveData) {
+        rules.push('saveData');
+      }
+      // The connection type is only reported on some platforms, such as Android and ChromeOS
+      if (network.type === 'cellular') {
+        rules.push('cellular');
+      }
+      // A downlink of 0 means the browser has no estimate yet
+      if (config.slowNetworkTypes.includes(network.effectiveType) ||
+          (network.downlink > 0 && network.downlink < config.slowNetworkDownlink)) {
+        rules.push('slow');
+      }
+      return rules;
+    },
     
-    return false;
-  };
-  
-  /**
-   * Gets the furthest buffered time for the video
-   * @param {HTMLVideoElement} video - The video element
-   * @returns {number} - The furthest buffered time in seconds
-   */
-  const getFurthestBufferedTime = (video) => {
-    if (!video || !video.buffered || video.buffered.length === 0) {
-      return 0;
-    }
+    /**
+     * Combines the matching rules, the most restrictive one winning
+     * @returns {string} - 'full', 'ahead' or 'off'
+     */
+    evaluate() {
+      const policies = {
+        saveData: config.saveDataPolicy,
+        cellular: config.cellularPolicy,
+        slow: config.slowNetworkPolicy
+      };
+      
+      return this.getMatchingRules().reduce((strictest, rule) => {
+        return NETWORK_POLICIES.indexOf(policies[rule]) > NETWORK_POLICIES.indexOf(strictest) ? policies[rule] : strictest;
+      }, 'full');
+    },
     
-    // Find the furthest buffered end time
-    let maxBufferedEnd = 0;
-    for (let i = 0; i < video.buffered.length; i++) {
-      const end = video.buffered.end(i);
-      if (end > maxBufferedEnd) {
-        maxBufferedEnd = end;
+    /**
+     * Re-evaluates the rules after a network switch or settings change, letting the buffer check act on the result
+     */
+    update() {
+      const policy = this.evaluate();
+      if (policy === this.current) {
+        return;
+      }
+      
+      debugLog(`Network policy changed from ${this.current} to ${policy}`);
+      this.current = policy;
+      
+      if (policy === 'full') {
+        shortsPrefetcher.update();
+      } else {
+        shortsPrefetcher.stop();
+        upNextPrefetcher.stop();
+      }
+      if (state.isMonitoring) {
+        bufferScheduler.wake();
       }
     }
-    
-    return maxBufferedEnd;
   };
   
-  /**
-   * Calculate buffer speed in MB/s
-   * @param {HTMLVideoElement} video - The video element
-   * @returns {number} - Buffer speed in MB/s
-   */
-  const calculateBufferSpeed = (video) => {
-    if (!video || !state.lastBufferEnd || !state.lastBufferTime) {
-      return 0;
-    }
+  // Battery and page visibility rules: a low battery pauses forcing, and hidden tabs check less often
+  const powerPolicy = {
+    battery: null,
+    batteryLow: false,
+    onBatteryChange: null,
+    onVisibilityChange: null,
     
-    const currentBufferEnd = getFurthestBufferedTime(video);
-    const currentTime = Date.now();
-    const timeDiff = (currentTime - state.lastBufferTime) / 1000;
+    start() {
+      this.onVisibilityChange = () => this.handleVisibilityChange();
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+      
+      // The Battery Status API is only available in Chromium browsers
+      if (typeof navigator.getBattery !== 'function') {
+        return;
+      }
+      
+      navigator.getBattery().then((battery) => {
+        this.battery = battery;
+        this.onBatteryChange = () => this.update();
+        battery.addEventListener('levelchange', this.onBatteryChange);
+        battery.addEventListener('chargingchange', this.onBatteryChange);
+        this.update();
+      }).catch((error) => {
+        debugLog('Battery status unavailable:', error);
+      });
+    },
     
-    if (timeDiff <= 0) {
-      return 0;
-    }
+    stop() {
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+      if (this.battery && this.onBatteryChange) {
+        this.battery.removeEventListener('levelchange', this.onBatteryChange);
+        this.battery.removeEventListener('chargingchange', this.onBatteryChange);
+      }
+      this.onBatteryChange = null;
+    },
     
-    const bufferDiff = currentBufferEnd - state.lastBufferEnd;
+    isHidden() {
+      return document.visibilityState === 'hidden';
+    },
     
-    // Update for next calculation
-    state.lastBufferEnd = currentBufferEnd;
-    state.lastBufferTime = currentTime;
+    /**
+     * Checks the low-battery rule; a battery that is charging never counts as low
+     * @returns {boolean} - Whether the battery is below the pause level and unplugged
+     */
+    isBatteryLow() {
+      const battery = this.battery;
+      return Boolean(battery) && config.batteryPausePercent > 0 && !battery.charging &&
+        battery.level * 100 < config.batteryPausePercent;
+    },
     
-    return bufferDiff / timeDiff;
+    /**
+     * Re-evaluates the battery rule after a level, charger or settings change
+     */
+    update() {
+      const low = this.isBatteryLow();
+      if (low === this.batteryLow) {
+        return;
+      }
+      
+      this.batteryLow = low;
+      debugLog(low ? 'Battery low and unplugged, pausing buffer forcing' : 'Battery no longer low, buffer forcing may continue');
+      
+      if (low) {
+        shortsPrefetcher.stop();
+        upNextPrefetcher.stop();
+      } else {
+        shortsPrefetcher.update();
+      }
+      if (state.isMonitoring) {
+        bufferScheduler.wake();
+      }
+    },
+    
+    handleVisibilityChange() {
+      if (!state.isMonitoring) {
+        return;
+      }
+      
+      const hidden = this.isHidden();
+      debugLog(hidden ? 'Tab hidden, checking the buffer less often' : 'Tab visible, checking the buffer at the normal rate');
+      sendBufferStatus({
+        status: 'visibility',
+        quality: state.lastKnownQuality,
+        isShorts: state.isShorts,
+        hidden
+      });
+      
+      // A check pending at the slow cadence is brought forward
+      if (!hidden) {
+        bufferScheduler.reschedule();
+      }
+    },
+    
+    /**
+     * Describes the battery as last reported
+     * @returns {Object|null} - Level (percent) and whether it is charging
+     */
+    describeBattery() {
+      const battery = this.battery;
+      return battery ? { level: Math.round(battery.level * 100), charging: battery.charging } : null;
+    }
   };
   
   /**
-   * Determines the appropriate seek step size based on video duration, type, and connection speed
-   * @param {HTMLVideoElement} video - The video element
-   * @returns {number} - Seek step size in seconds
-   */
-  const getSeekStepSize = (video) => {
-    if (!video) return config.adaptiveSeekMinimum;
-    
-    // For Shorts, use smaller seek step size
-    if (state.isShorts) return config.shortsSeekStepSize;
-    
-    // For regular videos, adapt based on duration and connection speed
-    const duration = video.duration;
-    if (isNaN(duration) || !isFinite(duration)) return config.adaptiveSeekMinimum;
-    
-    // Base seek step on video duration
-    let baseSeekStep;
-    if (duration < 60) {
-      baseSeekStep = 5;  // Very short videos: 5 seconds
-    } else if (duration < 300) {
-      baseSeekStep = 10; // Short videos: 10 seconds
-    } else if (duration < 900) {
-      baseSeekStep = 20; // Medium videos: 20 seconds
-    } else if (duration < 1800) {
-      baseSeekStep = 30; // Long videos: 30 seconds
-    } else {
-      baseSeekStep = 45; // Very long videos: 45 seconds
-    }
-    
-    // Adjust based on connection speed
-    const bufferSpeed = calculateBufferSpeed(video);
-    let speedMultiplier = 1;
-    
-    if (bufferSpeed > 5) {
-      speedMultiplier = 1.5; // Very fast connection
-    } else if (bufferSpeed > 2) {
-      speedMultiplier = 1.2; // Fast connection
-    } else if (bufferSpeed < 0.5) {
-      speedMultiplier = 0.6; // Slow connection
-    } else if (bufferSpeed < 1) {
-      speedMultiplier = 0.8; // Moderately slow connection
+   * Gets the time between buffer checks, longer while the tab is hidden
+   * @returns {number} - Check interval (ms)
+   */
+  const getCheckInterval = () => {
+    return powerPolicy.isHidden() ? Math.max(config.checkInterval, config.hiddenCheckInterval) : config.checkInterval;
+  };
+  
+  /**
+   * Collects the state of every rule that can hold back or slow down forcing, for the background script
+   * @returns {Object} - Network policy, data budget, battery and visibility state
+   */
+  const getRuleState = () => {
+    return {
+      network: networkPolicy.current,
+      budgetReached: dataBudget.isExhausted(),
+      batteryLow: powerPolicy.batteryLow,
+      battery: powerPolicy.describeBattery(),
+      hidden: powerPolicy.isHidden()
+    };
+  };
+  
+  /**
+   * Whether upcoming Shorts and the next video may be buffered, which only happens with data and bandwidth to spare
+   * @returns {boolean} - True when no data budget, network or battery rule holds buffering back
+   */
+  const isPrefetchAllowed = () => {
+    return !dataBudget.isExhausted() && networkPolicy.current === 'full' && !powerPolicy.batteryLow;
+  };
+  
+  /**
+   * Gets the buffering mode in effect, which a spent data budget or a network rule can narrow to buffer-ahead
+   * @returns {string} - 'full' or 'ahead'
+   */
+  const getBufferMode = () => {
+    if (networkPolicy.current === 'ahead' || (dataBudget.isExhausted() && config.dataBudgetAction === 'ahead')) {
+      return 'ahead';
     }
-    
-    // Apply strategy multiplier
-    const strategyMultiplier = state.seekStepMultiplier;
-    
-    // Calculate final seek step
-    const finalSeekStep = baseSeekStep * speedMultiplier * strategyMultiplier;
-    
-    // Clamp to min/max
-    return Math.max(
-      config.adaptiveSeekMinimum,
-      Math.min(config.adaptiveSeekMaximum, finalSeekStep)
-    );
+    return state.bufferModeOverride || config.bufferMode;
   };
   
   /**
-   * Detects quality changes in the video
-   * @returns {boolean} - Whether a quality change was detected
+   * Debug logger that only logs when debug mode is enabled
    */
-  const detectQualityChange = () => {
-    const currentQuality = getCurrentVideoQuality();
-    if (currentQuality && state.lastKnownQuality && currentQuality !== state.lastKnownQuality) {
-      debugLog(`Quality changed from ${state.lastKnownQuality} to ${currentQuality}`);
-      state.lastKnownQuality = currentQuality;
-      state.qualityChangeDetected = true;
-      
-      // Reset buffering strategy when quality changes
-      resetBufferingStrategy();
-      
-      // Notify background script about quality change
-      try {
-        chrome.runtime.sendMessage({
-          type: 'BUFFER_STATUS',
-          data: { 
-            status: 'quality_change',
-            quality: currentQuality,
-            isShorts: state.isShorts,
-            from: state.lastKnownQuality,
-            to: currentQuality
-          }
-        });
-      } catch (error) {
-        // Ignore errors from disconnected port
-      }
-      
-      return true;
+  const debugLog = (...args) => {
+    if (config.debugMode) {
+      console.log(config.logPrefix, ...args);
     }
-    return false;
+  };
+  
+  // Defaults kept aside so settings removed from storage can fall back to them
+  const defaultConfig = { ...config };
+  
+  // Storage key of the settings object written by the options page
+  const SETTINGS_STORAGE_KEY = 'settings';
+  
+  // Config fields the options page is allowed to override
+  const userSettingKeys = [
+    'checkInterval',
+    'adaptiveSeekMinimum',
+    'adaptiveSeekMaximum',
+    'shortsSeekStepSize',
+    'shortsPrefetchCount',
+    'upNextPrefetch',
+    'upNextPrefetchMinutes',
+    'upNextPrefetchMegabytes',
+    'dataBudgetPeriod',
+    'dataBudgetMegabytes',
+    'dataBudgetAction',
+    'saveDataPolicy',
+    'cellularPolicy',
+    'slowNetworkPolicy',
+    'batteryPausePercent',
+    'hiddenCheckInterval',
+    'longFormMinutes',
+    'strategyRegular',
+    'strategyShorts',
+    'strategyLongForm',
+    'throughputTarget',
+    'maxSeekAttempts',
+    'debugMode',
+    'retryDelayIncrement',
+    'qualityChangeThreshold',
+    'bufferMode',
+    'bufferAheadValue',
+    'bufferAheadUnit',
+    'gapFillOrder',
+    'watchWhileBuffering',
+    'bufferQuality',
+    'liveBuffering',
+    'evictionHandling',
+    'showOverlay'
+  ];
+  
+  // Allowed values for string settings
+  const settingChoices = {
+    bufferMode: ['full', 'ahead'],
+    bufferAheadUnit: ['minutes', 'percent'],
+    gapFillOrder: ['nearest', 'largest'],
+    bufferQuality: ['current', 'max', 'auto', 'hd2160', 'hd1440', 'hd1080', 'hd720', 'large', 'medium'],
+    liveBuffering: ['idle', 'behindEdge'],
+    dataBudgetPeriod: ['off', 'daily', 'monthly'],
+    dataBudgetAction: ['stop', 'ahead'],
+    saveDataPolicy: ['full', 'ahead', 'off'],
+    cellularPolicy: ['full', 'ahead', 'off'],
+    slowNetworkPolicy: ['full', 'ahead', 'off'],
+    strategyRegular: ['adaptive', 'exponential', 'throughput'],
+    strategyShorts: ['adaptive', 'exponential', 'throughput'],
+    strategyLongForm: ['adaptive', 'exponential', 'throughput'],
+    evictionHandling: ['rebuffer', 'cap']
   };
   
   /**
-   * Updates the buffering strategy based on success or failure of previous attempts
-   * @param {boolean} success - Whether the previous buffering attempt was successful
+   * Applies stored settings on top of the defaults, ignoring malformed values
+   * @param {Object} settings - Settings object from chrome.storage.sync
+   * @returns {string[]} - Names of the config fields that changed
    */
-  const updateBufferingStrategy = (success) => {
-    if (success) {
-      // Reset consecutive failures on success
-      state.consecutiveFailedAttempts = 0;
+  const applySettings = (settings) => {
+    const stored = settings || {};
+    const changed = [];
+    
+    userSettingKeys.forEach((key) => {
+      let value = stored[key];
+      const isValid = typeof value === typeof defaultConfig[key] &&
+        (typeof value !== 'number' || (isFinite(value) && value >= 0)) &&
+        (!settingChoices[key] || settingChoices[key].includes(value));
       
-      // If we've been in aggressive mode and succeeded, gradually move back to normal
-      if (state.bufferingStrategy === 'aggressive' && state.seekStepMultiplier > 1) {
-        state.seekStepMultiplier -= 0.1;
-        if (state.seekStepMultiplier < 1) {
-          state.seekStepMultiplier = 1;
-          state.bufferingStrategy = 'normal';
-          debugLog('Buffering strategy reverted to normal mode');
-        }
+      if (!isValid) {
+        value = defaultConfig[key];
       }
-    } else {
-      // Increment failures
-      state.consecutiveFailedAttempts++;
       
-      // Adjust strategy based on number of failures
-      if (state.consecutiveFailedAttempts >= 10) {
-        // Aggressive mode: increase seek step size
-        state.bufferingStrategy = 'aggressive';
-        state.seekStepMultiplier = 2.0;
-        debugLog('Switching to aggressive buffering strategy');
-      } else if (state.consecutiveFailedAttempts >= 5) {
-        // More aggressive but not maximum
-        state.bufferingStrategy = 'aggressive';
-        state.seekStepMultiplier = 1.5;
-        debugLog('Increasing buffering aggressiveness');
+      if (config[key] !== value) {
+        config[key] = value;
+        changed.push(key);
       }
+    });
+    
+    // Keep the adaptive step range usable even if storage holds an inverted pair
+    if (config.adaptiveSeekMinimum > config.adaptiveSeekMaximum) {
+      config.adaptiveSeekMaximum = config.adaptiveSeekMinimum;
     }
+    
+    return changed;
   };
   
   /**
-   * Resets the buffering strategy to normal
+   * Loads settings saved from the options page
+   * @param {Function} callback - Called once settings are applied (or storage is unavailable)
    */
-  const resetBufferingStrategy = () => {
-    state.bufferingStrategy = 'normal';
-    state.seekStepMultiplier = 1;
-    state.consecutiveFailedAttempts = 0;
-    debugLog('Buffering strategy reset to normal');
+  const loadStoredSettings = (callback) => {
+    try {
+      chrome.storage.sync.get(SETTINGS_STORAGE_KEY, (result) => {
+        if (chrome.runtime.lastError) {
+          debugLog('Could not load settings, using defaults:', chrome.runtime.lastError.message);
+        } else {
+          applySettings(result[SETTINGS_STORAGE_KEY]);
+        }
+        callback();
+      });
+    } catch (error) {
+      debugLog('Could not load settings, using defaults:', error);
+      callback();
+    }
   };
   
   /**
-   * Forces video buffering by manipulating the playback speed and using seeking
+   * Applies settings changes live while the page stays open
    */
-  const forceBuffering = () => {
-    const video = state.videoElement;
-    
-    if (!video || isVideoFullyBuffered(video) || state.seekAttempts >= config.maxSeekAttempts) {
-      stopBuffering();
-      return;
-    }
-    
-    // Check for quality changes
-    if (detectQualityChange() && state.isBuffering) {
-      // On quality change, restart buffering process
-      debugLog('Quality changed, restarting buffer process');
-      stopBuffering();
-      setTimeout(() => {
-        startBuffering();
-      }, config.qualityChangeThreshold);
-      return;
-    }
-    
-    // Update connection speed data
-    connectionTracker.update(video);
-    
-    if (!state.isBuffering) {
-      // Store original state
-      state.originalPlaybackRate = video.playbackRate;
-      state.originalPlaybackTime = video.currentTime;
-      state.isBuffering = true;
-      
-      // Initialize buffer tracking
-      state.lastBufferEnd = getFurthestBufferedTime(video);
-      state.lastBufferTime = Date.now();
+  const watchSettingsChanges = () => {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes[SETTINGS_STORAGE_KEY]) {
+        return;
+      }
       
-      // Pause the video while buffering
-      if (!video.paused) {
-        video.pause();
+      const changed = applySettings(changes[SETTINGS_STORAGE_KEY].newValue);
+      if (changed.length === 0) {
+        return;
       }
       
-      const currentQuality = getCurrentVideoQuality();
+      debugLog(`Settings updated: ${changed.join(', ')}`);
+      
+      if (changed.includes('shortsPrefetchCount')) {
+        shortsPrefetcher.update();
+      }
+      if (changed.includes('upNextPrefetch') && !config.upNextPrefetch) {
+        upNextPrefetcher.stop();
+      }
+      if (changed.includes('showOverlay') && state.isMonitoring) {
+        playerOverlay.attach(state.videoElement);
+      }
+      
+      // A newly chosen strategy takes over the running session
+      if (state.isBuffering && changed.some((key) => key.startsWith('strategy') || key === 'longFormMinutes')) {
+        resetBufferingStrategy();
+      }
+      
+      // Rule changes apply to the connection and battery the tab has right now
+      networkPolicy.update();
+      powerPolicy.update();
+      
+      // Hold the newly chosen quality from here on
+      if (changed.includes('bufferQuality') && state.pinnedQuality) {
+        releaseQuality();
+        if (state.isBuffering) {
+          pinQuality();
+        }
+      }
+      
+      // New limits or modes may make forcing worth another try
+      state.gaveUp = false;
+      if (state.isMonitoring) {
+        bufferScheduler.wake();
+      }
+    });
+  };
+  
+  /**
+   * Checks whether this script still belongs to a loaded extension; reloading or updating the
+   * extension leaves the old content script running in open tabs without access to its APIs
+   * @returns {boolean} - Whether chrome.runtime is still usable
+   */
+  const isExtensionContextValid = () => {
+    try {
+      return Boolean(chrome.runtime && chrome.runtime.id);
+    } catch (error) {
+      return false;
+    }
+  };
+  
+  // Port to the background script, carrying this tab's reports and the commands sent to it
+  const backgroundPort = {
+    port: null,
+    heartbeatTimer: null,
+    lastHeartbeatReply: 0,
+    isShutDown: false,
+    
+    /**
+     * Opens the port unless one is open; after a service worker restart the next report opens a fresh one
+     * @returns {boolean} - Whether a port is open
+     */
+    connect() {
+      if (this.port) {
+        return true;
+      }
+      if (this.isShutDown || !this.checkContext()) {
+        return false;
+      }
+      
+      try {
+        this.port = chrome.runtime.connect({ name: PORT_NAME });
+      } catch (error) {
+        this.handleError(error);
+        return false;
+      }
+      
+      this.port.onMessage.addListener((message) => this.handleMessage(message));
+      this.port.onDisconnect.addListener(() => this.handleDisconnect());
+      this.startHeartbeat();
+      return true;
+    },
+    
+    /**
+     * Sends a message, reconnecting once if the port turns out to be closed
+     * @param {Object} message - Message built with createMessage
+     * @returns {boolean} - Whether the message was sent
+     */
+    post(message) {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        if (!this.connect()) {
+          return false;
+        }
+        
+        try {
+          this.port.postMessage(message);
+          return true;
+        } catch (error) {
+          this.port = null;
+          this.handleError(error);
+        }
+      }
+      return false;
+    },
+    
+    handleMessage(message) {
+      const error = validateMessage(message);
+      if (error) {
+        debugLog(`Rejected a message from the background script: ${error}`);
+        return;
+      }
+      
+      if (message.type === MESSAGE_TYPES.HEARTBEAT) {
+        this.lastHeartbeatReply = Date.now();
+      } else if (message.type === MESSAGE_TYPES.BUFFER_COMMAND && message.requestId !== undefined) {
+        const ok = handleBufferCommand(message.command);
+        this.post(createMessage(MESSAGE_TYPES.COMMAND_RESULT, { requestId: message.requestId, ok }));
+      }
+    },
+    
+    handleDisconnect() {
+      this.port = null;
+      this.stopHeartbeat();
+      if (this.checkContext()) {
+        // Reading lastError keeps Chrome from reporting it as unchecked
+        void chrome.runtime.lastError;
+        debugLog('Background script disconnected, reconnecting with the next report');
+      }
+    },
+    
+    /**
+     * Shuts the script down once the extension context is gone
+     * @returns {boolean} - Whether the context is still valid
+     */
+    checkContext() {
+      if (isExtensionContextValid()) {
+        return true;
+      }
+      shutDown();
+      return false;
+    },
+    
+    handleError(error) {
+      if (this.checkContext()) {
+        debugLog('Could not reach the background script:', error.message);
+      }
+    },
+    
+    /**
+     * Checks in with the background script while a session runs, and replaces a port that stopped answering
+     */
+    startHeartbeat() {
+      this.stopHeartbeat();
+      this.lastHeartbeatReply = Date.now();
+      this.heartbeatTimer = setInterval(() => {
+        if (!this.checkContext()) {
+          return;
+        }
+        
+        // Idle tabs leave the service worker free to stop
+        if (!state.isBuffering) {
+          this.lastHeartbeatReply = Date.now();
+          return;
+        }
+        
+        if (Date.now() - this.lastHeartbeatReply > HEARTBEAT_INTERVAL * 2) {
+          debugLog('Background script stopped answering, reconnecting');
+          this.disconnect();
+        }
+        this.post(createMessage(MESSAGE_TYPES.HEARTBEAT));
+      }, HEARTBEAT_INTERVAL);
+    },
+    
+    stopHeartbeat() {
+      if (this.heartbeatTimer) {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+      }
+    },
+    
+    disconnect() {
+      this.stopHeartbeat();
+      if (this.port) {
+        try {
+          this.port.disconnect();
+        } catch (error) {
+          // Already disconnected
+        }
+        this.port = null;
+      }
+    }
+  };
+  
+  /**
+   * Sends a BUFFER_STATUS update to the background script
+   * @param {Object} data - Status payload, always carrying a `status` field
+   */
+  const sendBufferStatus = (data) => {
+    backgroundPort.post(createMessage(MESSAGE_TYPES.BUFFER_STATUS, {
+      data: { ...data, video: pageBridge.getVideoInfo(), streamType: state.streamType, rules: getRuleState() },
+      page: { url: window.location.href, title: document.title }
+    }));
+    
+    // Every reported change is worth showing in the player
+    playerOverlay.update();
+  };
+  
+  // Player data reported by page-bridge.js, which runs in the page's world where the player API is visible
+  const pageBridge = {
+    playerState: null,
+    onMessage: null,
+    
+    start() {
+      this.onMessage = (event) => this.handleMessage(event);
+      window.addEventListener('message', this.onMessage);
+      this.request();
+    },
+    
+    stop() {
+      window.removeEventListener('message', this.onMessage);
+      this.onMessage = null;
+    },
+    
+    handleMessage(event) {
+      const message = event.data;
+      if (event.source !== window || !message || message.source !== 'yt-force-buffer-page') {
+        return;
+      }
+      
+      if (message.type === 'PLAYER_STATE') {
+        this.playerState = message.state;
+        if (state.isMonitoring && !updateAdState()) {
+          checkQualityChange();
+          
+          // A stream starting or ending changes what can be buffered
+          bufferScheduler.wake();
+        }
+      }
+    },
+    
+    /**
+     * Asks the bridge for a fresh state message
+     */
+    request() {
+      window.postMessage({ source: 'yt-force-buffer-content', type: 'GET_PLAYER_STATE' }, window.location.origin);
+    },
+    
+    /**
+     * Locks the player to a quality level, or hands quality back to YouTube when level is null
+     * @param {string|null} level - Player quality level such as 'hd1080'
+     */
+    setQuality(level) {
+      window.postMessage({ source: 'yt-force-buffer-content', type: 'SET_QUALITY', level }, window.location.origin);
+    },
+    
+    /**
+     * Drops the state of the previous video until the bridge reports the new one
+     */
+    reset() {
+      this.playerState = null;
+    },
+    
+    /**
+     * Describes the current video for status messages
+     * @returns {Object|null} - Video ID, title, channel, live and ad state, or null before the bridge reports
+     */
+    getVideoInfo() {
+      if (!this.playerState) {
+        return null;
+      }
+      
+      const { videoId, title, channel, isLive, isAd } = this.playerState;
+      return { videoId, title, channel, isLive, isAd };
+    }
+  };
+  
+  /**
+   * Checks if the current page is a YouTube Shorts page
+   * @returns {boolean} - Whether the current page is a Shorts page
+   */
+  const checkIfShorts = () => {
+    return window.location.href.includes('youtube.com/shorts');
+  };
+  
+  /**
+   * Identifies the video the current page shows, ignoring query changes like timestamps
+   * @returns {string|null} - 'watch:<id>' or 'shorts:<id>', or null on non-video pages
+   */
+  const getVideoPageKey = () => {
+    const { pathname, search } = window.location;
+    if (pathname === '/watch') {
+      const videoId = new URLSearchParams(search).get('v');
+      return videoId ? `watch:${videoId}` : null;
+    }
+    
+    const shortsMatch = pathname.match(/^\/shorts\/([^/?#]+)/);
+    return shortsMatch ? `shorts:${shortsMatch[1]}` : null;
+  };
+  
+  // Display labels for the player API's quality levels, matching the height-based fallback
+  const QUALITY_LABELS = {
+    highres: '4320p',
+    hd2160: '4K/2160p',
+    hd1440: '1440p',
+    hd1080: '1080p',
+    hd720: '720p',
+    large: '480p',
+    medium: '360p',
+    small: '240p',
+    tiny: '144p'
+  };
+  
+  /**
+   * Gets the current video quality if possible
+   * @returns {string|null} - The current video quality or null if unavailable
+   */
+  const getCurrentVideoQuality = () => {
+    try {
+      // First try the quality the player API reports through the page bridge
+      const quality = pageBridge.playerState && pageBridge.playerState.quality;
+      if (quality && QUALITY_LABELS[quality]) {
+        return QUALITY_LABELS[quality];
+      }
+      
+      // Fallback: try to estimate from video height
+      if (state.videoElement) {
+        const videoHeight = state.videoElement.videoHeight;
+        if (videoHeight >= 2160) return '4K/2160p';
+        if (videoHeight >= 1440) return '1440p';
+        if (videoHeight >= 1080) return '1080p';
+        if (videoHeight >= 720) return '720p';
+        if (videoHeight >= 480) return '480p';
+        if (videoHeight >= 360) return '360p';
+        if (videoHeight >= 240) return '240p';
+        return `${videoHeight}p`;
+      }
+    } catch (error) {
+      debugLog('Error getting video quality:', error);
+    }
+    return null;
+  };
+  
+  /**
+   * Reads the video's buffered ranges, merging ranges separated by less than the gap tolerance
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {{start: number, end: number}[]} - Sorted, merged buffered ranges
+   */
+  const getBufferedRanges = (video) => {
+    if (!video || !video.buffered) {
+      return [];
+    }
+    
+    const ranges = [];
+    for (let i = 0; i < video.buffered.length; i++) {
+      ranges.push({ start: video.buffered.start(i), end: video.buffered.end(i) });
+    }
+    ranges.sort((a, b) => a.start - b.start);
+    
+    const merged = [];
+    ranges.forEach((range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start - last.end <= config.gapTolerance) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+    });
+    
+    return merged;
+  };
+  
+  /**
+   * Gets the intervals between two positions that are not buffered
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number} from - Start of the interval to check (seconds)
+   * @param {number} to - End of the interval to check (seconds)
+   * @returns {{start: number, end: number}[]} - Uncovered intervals, in timeline order
+   */
+  const getUncoveredIntervals = (video, from, to) => {
+    const gaps = [];
+    let cursor = from;
+    
+    for (const range of getBufferedRanges(video)) {
+      if (cursor >= to || range.start >= to) {
+        break;
+      }
+      if (range.end <= cursor) {
+        continue;
+      }
+      if (range.start > cursor) {
+        gaps.push({ start: cursor, end: range.start });
+      }
+      cursor = range.end;
+    }
+    
+    if (cursor < to) {
+      gaps.push({ start: cursor, end: to });
+    }
+    
+    // Ignore slivers the player leaves between segments
+    return gaps.filter((gap) => gap.end - gap.start > config.gapTolerance);
+  };
+  
+  /**
+   * Sums the length of a list of intervals
+   * @param {{start: number, end: number}[]} intervals - Intervals to measure
+   * @returns {number} - Total length in seconds
+   */
+  const getIntervalsLength = (intervals) => {
+    return intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+  };
+  
+  /**
+   * Gets the total number of buffered seconds across all ranges
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {number} - Buffered seconds
+   */
+  const getBufferedSeconds = (video) => {
+    return getIntervalsLength(getBufferedRanges(video));
+  };
+  
+  /**
+   * Gets the playback position the user is at, ignoring seeks made while forcing
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {number} - Playback position in seconds
+   */
+  const getPlaybackPosition = (video) => {
+    return state.isBuffering ? state.originalPlaybackTime : video.currentTime;
+  };
+  
+  /**
+   * Gets the end of the seekable window, which is the live edge for live streams
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {number} - Live edge in seconds, or NaN when nothing is seekable
+   */
+  const getLiveEdge = (video) => {
+    const seekable = video.seekable;
+    if (!seekable || seekable.length === 0) {
+      return NaN;
+    }
+    return seekable.end(seekable.length - 1);
+  };
+  
+  /**
+   * Classifies the monitored video, preferring the player's own flags over the media element
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {string} - 'vod', 'live', 'dvr' or 'upcoming'
+   */
+  const getStreamType = (video) => {
+    const playerState = pageBridge.playerState;
+    if (playerState && playerState.isUpcoming) {
+      return 'upcoming';
+    }
+    
+    // Live streams report an infinite duration; a Premiere that has ended becomes a regular video
+    const isLive = (playerState && playerState.isLive) || video.duration === Infinity;
+    if (!isLive) {
+      return 'vod';
+    }
+    
+    const seekable = video.seekable;
+    const hasDvrWindow = playerState ? playerState.isDvr :
+      seekable && seekable.length > 0 && getLiveEdge(video) - seekable.start(0) > config.dvrMinimumWindow;
+    return hasDvrWindow ? 'dvr' : 'live';
+  };
+  
+  /**
+   * Checks whether forcing has anything to do for a stream type
+   * @param {string} streamType - Result of getStreamType
+   * @returns {boolean} - Whether the stream can be force-buffered
+   */
+  const isForceableStream = (streamType) => {
+    return streamType === 'vod' || (streamType === 'dvr' && config.liveBuffering === 'behindEdge');
+  };
+  
+  /**
+   * Gets the last position forcing may buffer up to
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {number} - End of the video, or a margin behind the live edge for DVR streams
+   */
+  const getTimelineEnd = (video) => {
+    if (state.streamType === 'dvr') {
+      return getLiveEdge(video) - config.liveEdgeMargin;
+    }
+    return video.duration;
+  };
+  
+  /**
+   * Checks if the video is buffered from the playback position to the end
+   * @param {HTMLVideoElement} video - The video element to check
+   * @returns {boolean} - Whether the video is fully buffered
+   */
+  const isVideoFullyBuffered = (video) => {
+    if (!video || !video.buffered || video.buffered.length === 0) {
+      return false;
+    }
+    
+    // If we can't determine duration, we can't know if it's fully buffered
+    const end = getTimelineEnd(video);
+    if (isNaN(end) || !isFinite(end)) {
+      return false;
+    }
+    
+    // We consider 0.5 seconds from the end as "fully buffered"
+    return getUncoveredIntervals(video, getPlaybackPosition(video), end - 0.5).length === 0;
+  };
+  
+  /**
+   * Gets the size of the buffer-ahead window for the video
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {number} - Window size in seconds
+   */
+  const getBufferAheadWindow = (video) => {
+    if (config.bufferAheadUnit === 'percent') {
+      return getTimelineEnd(video) * Math.min(config.bufferAheadValue, 100) / 100;
+    }
+    return config.bufferAheadValue * 60;
+  };
+  
+  /**
+   * Finds the parts of earlier buffered ranges that are no longer buffered
+   * @param {{start: number, end: number}[]} previous - Ranges at an earlier check
+   * @param {{start: number, end: number}[]} current - Ranges now, sorted
+   * @returns {{start: number, end: number}[]} - Lost intervals
+   */
+  const findLostIntervals = (previous, current) => {
+    const lost = [];
+    previous.forEach((range) => {
+      let cursor = range.start;
+      current.forEach((kept) => {
+        if (kept.end <= cursor || kept.start >= range.end) {
+          return;
+        }
+        if (kept.start > cursor) {
+          lost.push({ start: cursor, end: kept.start });
+        }
+        cursor = Math.max(cursor, kept.end);
+      });
+      if (cursor < range.end) {
+        lost.push({ start: cursor, end: range.end });
+      }
+    });
+    
+    return lost.filter((interval) => interval.end - interval.start > config.gapTolerance);
+  };
+  
+  // Compares buffered ranges between checks to notice when the player evicts forced data to stay within its quota
+  const evictionTracker = {
+    ranges: null,         // Buffered ranges at the last check
+    capacity: null,       // Buffered seconds the player kept right after its last eviction
+    capEnd: null,         // Fixed target end in 'cap' mode
+    evictedSeconds: 0,    // Seconds ahead of the playhead lost on the current video
+    
+    reset() {
+      this.ranges = null;
+      this.capacity = null;
+      this.capEnd = null;
+      this.evictedSeconds = 0;
+    },
+    
+    // Start comparing from the current ranges, after changes that legitimately replace the buffer
+    rebase() {
+      this.ranges = null;
+    },
+    
+    /**
+     * Takes a snapshot of the buffered ranges and compares it with the last one
+     * @param {HTMLVideoElement} video - The video element
+     * @returns {Object|null} - The eviction found, or null
+     */
+    update(video) {
+      const ranges = getBufferedRanges(video);
+      const previous = this.ranges;
+      this.ranges = ranges;
+      if (!previous) {
+        return null;
+      }
+      
+      // The player routinely drops what was already watched, so only losses ahead of the playhead count
+      const position = getPlaybackPosition(video);
+      const lost = findLostIntervals(previous, ranges)
+        .filter((interval) => interval.end > position)
+        .map((interval) => ({ start: Math.max(interval.start, position), end: interval.end }));
+      const lostSeconds = getIntervalsLength(lost);
+      if (lostSeconds < config.evictionMinimum) {
+        return null;
+      }
+      
+      this.evictedSeconds += lostSeconds;
+      this.capacity = getIntervalsLength(ranges);
+      this.capEnd = position + this.capacity * config.evictionCapRatio;
+      return { lost, lostSeconds, capacity: this.capacity };
+    },
+    
+    isLimiting() {
+      return this.capacity !== null;
+    },
+    
+    /**
+     * Gets how far forcing may go once the player has shown how much it keeps
+     * @param {number} position - Playback position (seconds)
+     * @param {number} [windowShare=1] - Share of the window that counts, for refills
+     * @returns {number|null} - Latest target, or null without an eviction
+     */
+    getTargetLimit(position, windowShare = 1) {
+      if (!this.isLimiting()) {
+        return null;
+      }
+      
+      // Capping fixes the target where the eviction happened; re-buffering keeps a capacity-sized window ahead
+      if (config.evictionHandling === 'cap') {
+        return this.capEnd;
+      }
+      return position + this.capacity * config.evictionCapRatio * windowShare;
+    }
+  };
+  
+  /**
+   * Gets the time the current buffering mode wants buffered up to
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number} [windowShare=1] - Share of the buffer-ahead window to target
+   * @returns {number} - Target time in seconds
+   */
+  const getBufferTarget = (video, windowShare = 1) => {
+    const end = getTimelineEnd(video);
+    const position = getPlaybackPosition(video);
+    let target = end;
+    if (getBufferMode() === 'ahead') {
+      target = Math.min(end, position + getBufferAheadWindow(video) * windowShare);
+    } else if (state.streamType === 'dvr') {
+      // The live edge keeps moving, so DVR streams refill once the share of the way to it drains
+      target = Math.min(end, position + (end - position) * windowShare);
+    }
+    
+    // Past an eviction, forcing more than the player keeps would only evict something else
+    const limit = evictionTracker.getTargetLimit(position, windowShare);
+    return limit === null ? target : Math.max(position, Math.min(target, limit));
+  };
+  
+  /**
+   * Checks if the current buffering mode's target is buffered without gaps
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number} [windowShare=1] - Share of the buffer-ahead window that counts as enough
+   * @returns {boolean} - Whether the target is reached
+   */
+  const isBufferTargetReached = (video, windowShare = 1) => {
+    if (getBufferMode() !== 'ahead' && state.streamType !== 'dvr' && !evictionTracker.isLimiting()) {
+      return isVideoFullyBuffered(video);
+    }
+    
+    if (!video || !isFinite(getTimelineEnd(video))) {
+      return false;
+    }
+    
+    const target = getBufferTarget(video, windowShare);
+    return getUncoveredIntervals(video, getPlaybackPosition(video), target - 0.5).length === 0;
+  };
+  
+  /**
+   * Plans which holes to fill between the playback position and the target
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number} from - Playback position (seconds)
+   * @param {number} to - Buffer target (seconds)
+   * @returns {{start: number, end: number}[]} - Gaps in the order they should be filled
+   */
+  const planBufferGaps = (video, from, to) => {
+    const gaps = getUncoveredIntervals(video, from, to - 0.5);
+    
+    if (config.gapFillOrder === 'largest') {
+      gaps.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+    }
+    
+    return gaps;
+  };
+  
+  /**
+   * Calculate buffer speed as seconds of video buffered per second, across all ranges
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {number} - Buffer speed in s/s
+   */
+  const calculateBufferSpeed = (video) => {
+    if (!video || !state.lastBufferTime) {
+      return 0;
+    }
+    
+    const currentBufferedSeconds = getBufferedSeconds(video);
+    const currentTime = Date.now();
+    const timeDiff = (currentTime - state.lastBufferTime) / 1000;
+    
+    if (timeDiff <= 0) {
+      return 0;
+    }
+    
+    const bufferDiff = currentBufferedSeconds - state.lastBufferedSeconds;
+    
+    // Update for next calculation
+    state.lastBufferedSeconds = currentBufferedSeconds;
+    state.lastBufferTime = currentTime;
+    
+    return bufferDiff / timeDiff;
+  };
+  
+  /**
+   * Buffering strategies decide how far into the next gap each forcing seek goes and how long to back off.
+   * Each entry is a factory for a strategy object with its own state and these methods:
+   *   getSeekStep(context)        - Seek step (seconds) for the next probe
+   *   onResult(success, context)  - Feedback once a probe was evaluated
+   *   getBackoff(context)         - Extra wait (ms) before the next cycle
+   *   describe()                  - Short state description for logs
+   * The context carries duration, bufferSpeed (s/s), isShorts, minStep, maxStep, failures and attempts.
+   */
+  const bufferingStrategies = {
+    // Steps sized by video length and measured speed, enlarged after runs of failed probes
+    adaptive: () => ({
+      mode: 'normal',
+      multiplier: 1,
+      
+      describe() {
+        return this.mode;
+      },
+      
+      getSeekStep({ duration, bufferSpeed, isShorts }) {
+        // For Shorts, use smaller seek step size
+        if (isShorts) return config.shortsSeekStepSize;
+        if (isNaN(duration) || !isFinite(duration)) return config.adaptiveSeekMinimum;
+        
+        // Base seek step on video duration
+        let baseSeekStep;
+        if (duration < 60) {
+          baseSeekStep = 5;  // Very short videos: 5 seconds
+        } else if (duration < 300) {
+          baseSeekStep = 10; // Short videos: 10 seconds
+        } else if (duration < 900) {
+          baseSeekStep = 20; // Medium videos: 20 seconds
+        } else if (duration < 1800) {
+          baseSeekStep = 30; // Long videos: 30 seconds
+        } else {
+          baseSeekStep = 45; // Very long videos: 45 seconds
+        }
+        
+        // Adjust based on connection speed
+        let speedMultiplier = 1;
+        if (bufferSpeed > 5) {
+          speedMultiplier = 1.5; // Very fast connection
+        } else if (bufferSpeed > 2) {
+          speedMultiplier = 1.2; // Fast connection
+        } else if (bufferSpeed < 0.5) {
+          speedMultiplier = 0.6; // Slow connection
+        } else if (bufferSpeed < 1) {
+          speedMultiplier = 0.8; // Moderately slow connection
+        }
+        
+        // Clamp to min/max
+        return Math.max(
+          config.adaptiveSeekMinimum,
+          Math.min(config.adaptiveSeekMaximum, baseSeekStep * speedMultiplier * this.multiplier)
+        );
+      },
+      
+      onResult(success, { failures }) {
+        if (success) {
+          // If we've been in aggressive mode and succeeded, gradually move back to normal
+          if (this.mode === 'aggressive' && this.multiplier > 1) {
+            this.multiplier -= 0.1;
+            if (this.multiplier < 1) {
+              this.multiplier = 1;
+              this.mode = 'normal';
+              debugLog('Buffering strategy reverted to normal mode');
+            }
+          }
+        } else if (failures >= 10) {
+          // Aggressive mode: increase seek step size
+          this.mode = 'aggressive';
+          this.multiplier = 2.0;
+          debugLog('Switching to aggressive buffering strategy');
+        } else if (failures >= 5) {
+          // More aggressive but not maximum
+          this.mode = 'aggressive';
+          this.multiplier = 1.5;
+          debugLog('Increasing buffering aggressiveness');
+        }
+      },
+      
+      getBackoff({ failures, attempts }) {
+        // If we've had too many failed attempts, introduce a delay to potentially recover
+        return failures > 5 && attempts % 5 === 0 ? 500 : 0;
+      }
+    }),
+    
+    // Starts small and doubles the step after every miss, halving it again after each hit
+    exponential: () => ({
+      step: 0,
+      
+      describe() {
+        return `step ${this.step.toFixed(1)}s`;
+      },
+      
+      getSeekStep({ minStep }) {
+        if (this.step === 0) {
+          this.step = minStep;
+        }
+        return this.step;
+      },
+      
+      onResult(success, { minStep, maxStep }) {
+        this.step = success ? Math.max(minStep, this.step / 2) : Math.min(maxStep, this.step * 2);
+      },
+      
+      getBackoff({ failures }) {
+        // The wait doubles along with the step while probes keep missing
+        return failures === 0 ? 0 : Math.min(config.strategyMaxBackoff, config.retryDelayIncrement * 2 ** failures);
+      }
+    }),
+    
+    // Steers the step size so the buffer grows at the target speed, and waits when it grows faster
+    throughput: () => ({
+      step: 0,
+      lastSpeed: 0,
+      
+      describe() {
+        return `step ${this.step.toFixed(1)}s at ${this.lastSpeed.toFixed(2)}/${config.throughputTarget}s/s`;
+      },
+      
+      getSeekStep({ bufferSpeed, minStep, maxStep }) {
+        if (this.step === 0) {
+          this.step = (minStep + maxStep) / 2;
+        } else {
+          // Proportional correction, limited so one noisy sample can't swing the step too far
+          const error = (config.throughputTarget - bufferSpeed) / config.throughputTarget;
+          this.step *= 1 + 0.5 * Math.max(-0.5, Math.min(1, error));
+        }
+        
+        this.lastSpeed = bufferSpeed;
+        this.step = Math.max(minStep, Math.min(maxStep, this.step));
+        return this.step;
+      },
+      
+      onResult(success, { maxStep }) {
+        // A probe that brought nothing in says more than the speed sample, so reach further
+        if (!success) {
+          this.step = Math.min(maxStep, this.step * 1.25);
+        }
+      },
+      
+      getBackoff() {
+        // Above the target, slow the cycle down by the share the speed overshoots it
+        const overshoot = this.lastSpeed / config.throughputTarget - 1;
+        return overshoot > 0 ? Math.min(config.strategyMaxBackoff, Math.round(config.checkInterval * overshoot)) : 0;
+      }
+    })
+  };
+  
+  /**
+   * Sorts the monitored video into the type its buffering strategy is chosen for
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {string} - 'shorts', 'longForm' or 'regular'
+   */
+  const getVideoCategory = (video) => {
+    if (state.isShorts) {
+      return 'shorts';
+    }
+    
+    const duration = video ? getTimelineEnd(video) : NaN;
+    return isFinite(duration) && duration >= config.longFormMinutes * 60 ? 'longForm' : 'regular';
+  };
+  
+  /**
+   * Gets the registry name of the strategy chosen for a video type
+   * @param {string} category - 'shorts', 'longForm' or 'regular'
+   * @returns {string} - Strategy name
+   */
+  const getStrategyName = (category) => {
+    const name = { shorts: config.strategyShorts, longForm: config.strategyLongForm }[category] || config.strategyRegular;
+    return bufferingStrategies[name] ? name : 'adaptive';
+  };
+  
+  /**
+   * Builds the context a strategy decides from
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number} bufferSpeed - Measured buffer growth (s/s)
+   * @returns {Object} - Strategy context
+   */
+  const getStrategyContext = (video, bufferSpeed = 0) => {
+    return {
+      duration: video ? getTimelineEnd(video) : NaN,
+      bufferSpeed,
+      isShorts: state.isShorts,
+      minStep: state.isShorts ? config.shortsSeekStepSize : config.adaptiveSeekMinimum,
+      maxStep: config.adaptiveSeekMaximum,
+      failures: state.consecutiveFailedAttempts,
+      attempts: state.seekAttempts
+    };
+  };
+  
+  /**
+   * Detects quality changes in the video
+   * @returns {boolean} - Whether a quality change was detected
+   */
+  const detectQualityChange = () => {
+    const currentQuality = getCurrentVideoQuality();
+    if (currentQuality && state.lastKnownQuality && currentQuality !== state.lastKnownQuality) {
+      debugLog(`Quality changed from ${state.lastKnownQuality} to ${currentQuality}`);
+      const previousQuality = state.lastKnownQuality;
+      state.lastKnownQuality = currentQuality;
+      state.qualityChangeDetected = true;
+      
+      // Reset buffering strategy when quality changes, and the buffer capacity, which depends on the bitrate
+      resetBufferingStrategy();
+      evictionTracker.reset();
+      
+      // Notify background script about quality change
+      sendBufferStatus({
+        status: 'quality_change',
+        quality: currentQuality,
+        isShorts: state.isShorts,
+        from: previousQuality,
+        to: currentQuality
+      });
+      
+      return true;
+    }
+    return false;
+  };
+  
+  /**
+   * Picks the player level to hold while forcing, from the bufferQuality setting and the levels on offer
+   * @returns {string|null} - Player quality level, or null when nothing should be pinned
+   */
+  const resolvePinnedQuality = () => {
+    const playerState = pageBridge.playerState;
+    if (config.bufferQuality === 'auto' || !playerState) {
+      return null;
+    }
+    
+    if (config.bufferQuality === 'current') {
+      return QUALITY_LABELS[playerState.quality] ? playerState.quality : null;
+    }
+    
+    const available = playerState.availableQualities.filter((level) => QUALITY_LABELS[level]);
+    if (config.bufferQuality === 'max') {
+      return available[0] || null;
+    }
+    
+    // A level the video lacks falls back to the best one below it
+    const levels = Object.keys(QUALITY_LABELS);
+    const wanted = levels.indexOf(config.bufferQuality);
+    return available.find((level) => levels.indexOf(level) >= wanted) || null;
+  };
+  
+  /**
+   * Locks the player to the preferred quality so ABR switches cannot discard forced buffer
+   */
+  const pinQuality = () => {
+    const level = resolvePinnedQuality();
+    if (!level) {
+      return;
+    }
+    
+    state.pinnedQuality = level;
+    state.pinApplied = pageBridge.playerState.quality === level;
+    state.lastKnownQuality = QUALITY_LABELS[level];
+    pageBridge.setQuality(level);
+    debugLog(`Holding quality at ${QUALITY_LABELS[level]}`);
+  };
+  
+  const releaseQuality = () => {
+    if (!state.pinnedQuality) {
+      return;
+    }
+    
+    state.pinnedQuality = null;
+    state.pinApplied = false;
+    pageBridge.setQuality(null);
+  };
+  
+  /**
+   * Tells a quality choice made in the player's menu apart from the switch to our own pin
+   * @returns {boolean} - Whether the user picked another quality, which then becomes the pin
+   */
+  const isUserQualityChange = () => {
+    const level = pageBridge.playerState && pageBridge.playerState.quality;
+    if (level === state.pinnedQuality) {
+      state.pinApplied = true;
+      return false;
+    }
+    
+    // Until the player reaches the pinned level, other readings are that switch in progress
+    if (!QUALITY_LABELS[level] || !state.pinApplied) {
+      return false;
+    }
+    
+    // ABR cannot leave a locked range, so only the user moves the player off the pin
+    debugLog(`Quality set to ${QUALITY_LABELS[level]} in the player, holding that instead`);
+    state.pinnedQuality = level;
+    return true;
+  };
+  
+  /**
+   * Restarts forcing at the new quality when the player switched quality mid-session
+   * @returns {boolean} - Whether forcing was restarted
+   */
+  const checkQualityChange = () => {
+    // An ad's resolution says nothing about the content's quality
+    if (state.isAdPlaying) {
+      return false;
+    }
+    
+    if (state.pinnedQuality && !isUserQualityChange()) {
+      return false;
+    }
+    
+    if (detectQualityChange() && state.isBuffering) {
+      debugLog('Quality changed, restarting buffer process');
+      stopBuffering('restarting');
+      bufferScheduler.schedule(config.qualityChangeThreshold);
+      return true;
+    }
+    return false;
+  };
+  
+  /**
+   * Updates the buffering strategy based on success or failure of previous attempts
+   * @param {boolean} success - Whether the previous buffering attempt was successful
+   */
+  const updateBufferingStrategy = (success) => {
+    // Reset consecutive failures on success
+    state.consecutiveFailedAttempts = success ? 0 : state.consecutiveFailedAttempts + 1;
+    state.bufferingStrategy.onResult(success, getStrategyContext(state.videoElement));
+  };
+  
+  /**
+   * Starts a fresh instance of the strategy chosen for the monitored video's type
+   */
+  const resetBufferingStrategy = () => {
+    const name = getStrategyName(getVideoCategory(state.videoElement));
+    state.bufferingStrategy = bufferingStrategies[name]();
+    state.bufferingStrategyName = name;
+    state.consecutiveFailedAttempts = 0;
+    debugLog(`Buffering strategy reset (${name})`);
+  };
+  
+  /**
+   * Seeks the video on behalf of the extension so the seek isn't mistaken for a user action
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number} time - Position to seek to (seconds)
+   */
+  const seekInternally = (video, time) => {
+    state.internalSeekTarget = time;
+    video.currentTime = time;
+  };
+  
+  /**
+   * Suspends forcing while the user plays the video, returning to their position
+   * @param {HTMLVideoElement} video - The video element
+   */
+  const yieldToPlayback = (video) => {
+    if (state.isYielding) {
+      return;
+    }
+    
+    if (state.isBuffering) {
+      bufferScheduler.cancel();
+      if (Math.abs(video.currentTime - state.originalPlaybackTime) > 0.5) {
+        seekInternally(video, state.originalPlaybackTime);
+      }
+      video.playbackRate = state.originalPlaybackRate;
+      state.isBuffering = false;
+    }
+    
+    state.isYielding = true;
+    debugLog('Playback started, buffer forcing waits until the video is paused');
+    
+    sendBufferStatus({
+      status: 'yielded',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts
+    });
+  };
+  
+  /**
+   * Resumes forcing after the user paused playback, keeping the session's seek count
+   */
+  const resumeFromYield = () => {
+    if (!state.isYielding) {
+      return;
+    }
+    
+    state.isYielding = false;
+    debugLog('Playback paused, resuming buffer forcing');
+    
+    sendBufferStatus({
+      status: 'resumed',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts
+    });
+    
+    forceBuffering();
+  };
+  
+  /**
+   * Tracks user-initiated seeks, plays and pauses so forcing never fights them
+   * @param {HTMLVideoElement} video - The video element
+   */
+  const attachPlaybackListeners = (video) => {
+    const listeners = {
+      seeking: () => {
+        if (state.internalSeekTarget !== null && Math.abs(video.currentTime - state.internalSeekTarget) < 0.5) {
+          return;
+        }
+        
+        // A user seek becomes the position forcing returns to, and earns a video we gave up on another try
+        state.originalPlaybackTime = video.currentTime;
+        state.gaveUp = false;
+        evictionTracker.rebase();
+        debugLog(`User seeked to ${video.currentTime.toFixed(1)}s`);
+      },
+      seeked: () => {
+        state.internalSeekTarget = null;
+      },
+      play: () => {
+        if (config.watchWhileBuffering && state.isBuffering && !state.isAdPlaying) {
+          yieldToPlayback(video);
+        }
+      },
+      pause: () => {
+        if (state.isYielding && !state.isPaused && !state.isHeld && !state.isStopped) {
+          resumeFromYield();
+        }
+      }
+    };
+    
+    Object.entries(listeners).forEach(([event, handler]) => video.addEventListener(event, handler));
+    state.playbackListeners = listeners;
+  };
+  
+  /**
+   * Removes the media event handlers from the monitored video
+   * @param {HTMLVideoElement} video - The video element
+   */
+  const detachPlaybackListeners = (video) => {
+    if (!state.playbackListeners) {
+      return;
+    }
+    
+    Object.entries(state.playbackListeners).forEach(([event, handler]) => video.removeEventListener(event, handler));
+    state.playbackListeners = null;
+  };
+  
+  // Media events that drive the buffer loop
+  const SCHEDULER_EVENTS = [
+    'progress',
+    'seeked',
+    'canplaythrough',
+    'waiting',
+    'suspend',
+    'timeupdate',
+    'loadedmetadata',
+    'durationchange'
+  ];
+  
+  // Single event-driven loop that owns every forcing seek, so only one is ever outstanding
+  const bufferScheduler = {
+    video: null,
+    handler: null,
+    timer: null,
+    phase: 'idle',        // 'idle', 'probing' (seeked ahead) or 'restoring' (seeking back)
+    probe: null,
+    cycleStartedAt: 0,
+    lastCheckTime: 0,
+    
+    attach(video) {
+      this.detach();
+      this.video = video;
+      this.handler = (event) => this.onMediaEvent(event.type);
+      SCHEDULER_EVENTS.forEach((type) => video.addEventListener(type, this.handler));
+    },
+    
+    detach() {
+      this.cancel();
+      if (this.video && this.handler) {
+        SCHEDULER_EVENTS.forEach((type) => this.video.removeEventListener(type, this.handler));
+      }
+      this.video = null;
+      this.handler = null;
+    },
+    
+    schedule(delay) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.run();
+      }, Math.max(0, delay));
+    },
+    
+    cancel() {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.phase = 'idle';
+      this.probe = null;
+    },
+    
+    isSeeking() {
+      return this.phase !== 'idle';
+    },
+    
+    // Run a check soon unless one is already due
+    wake() {
+      if (this.phase === 'idle' && !this.timer) {
+        this.schedule(0);
+      }
+    },
+    
+    // Move a pending idle check to the current cadence, e.g. once a hidden tab is shown again
+    reschedule() {
+      if (this.phase === 'idle' && this.timer) {
+        this.schedule(this.lastCheckTime + getCheckInterval() - Date.now());
+      }
+    },
+    
+    beginProbe(probe) {
+      this.phase = 'probing';
+      this.probe = {
+        ...probe,
+        startedAt: Date.now(),
+        dwell: 150 + (state.consecutiveFailedAttempts * config.retryDelayIncrement)
+      };
+      this.schedule(config.probeTimeout);
+    },
+    
+    beginRestore() {
+      this.phase = 'restoring';
+      this.probe = null;
+      this.schedule(config.probeTimeout);
+    },
+    
+    endCycle() {
+      this.phase = 'idle';
+      
+      // Start at most one cycle per check interval
+      let delay = this.cycleStartedAt + getCheckInterval() - Date.now();
+      
+      // The strategy may hold off the next cycle, e.g. after failed attempts
+      const backoff = state.bufferingStrategy ? state.bufferingStrategy.getBackoff(getStrategyContext(state.videoElement)) : 0;
+      if (backoff > 0) {
+        debugLog(`Buffering strategy backs off for ${backoff}ms`);
+        delay += backoff;
+      }
+      
+      this.schedule(delay);
+    },
+    
+    onMediaEvent(type) {
+      if (this.phase === 'probing') {
+        // Data arriving at the seek target ends the probe once the minimum dwell has passed
+        if (type === 'progress' || type === 'canplaythrough' || type === 'suspend') {
+          const elapsed = Date.now() - this.probe.startedAt;
+          if (elapsed >= this.probe.dwell) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.run();
+          } else {
+            this.schedule(this.probe.dwell - elapsed);
+          }
+        }
+        return;
+      }
+      
+      if (this.phase === 'restoring') {
+        if (type === 'seeked') {
+          this.endCycle();
+        }
+        return;
+      }
+      
+      // Idle: media activity triggers a check, at most once per check interval
+      if (!this.timer) {
+        this.schedule(this.lastCheckTime + getCheckInterval() - Date.now());
+      }
+    },
+    
+    run() {
+      if (this.phase === 'probing') {
+        finishSeekProbe(this.probe);
+        return;
+      }
+      
+      // A restore whose 'seeked' never arrived still ends the cycle
+      this.phase = 'idle';
+      this.lastCheckTime = Date.now();
+      this.cycleStartedAt = this.lastCheckTime;
+      checkBuffer();
+    }
+  };
+  
+  /**
+   * Evaluates a forcing seek once the player reacted to it, then returns to the playback position
+   * @param {Object} probe - Buffer state captured when the seek was issued
+   */
+  const finishSeekProbe = (probe) => {
+    const video = state.videoElement;
+    if (!video || !state.isBuffering) {
+      bufferScheduler.cancel();
+      return;
+    }
+    
+    try {
+      // Check if we made progress
+      const newRemainingTime = getIntervalsLength(planBufferGaps(video, probe.playbackPosition, probe.bufferTarget));
+      const madeProgress = newRemainingTime < probe.remainingTime - 1;
+      
+      // Update buffering strategy based on results
+      updateBufferingStrategy(madeProgress);
+      state.seekAttempts++;
+      
+      // Return to the playback position, which follows any seek the user made meanwhile
+      seekInternally(video, state.originalPlaybackTime);
+      bufferScheduler.beginRestore();
+    } catch (error) {
+      debugLog('Error during seek callback:', error);
+      state.seekAttempts++;
+      bufferScheduler.endCycle();
+    }
+  };
+  
+  /**
+   * Forces video buffering by manipulating the playback speed and using seeking
+   */
+  const forceBuffering = () => {
+    const video = state.videoElement;
+    
+    // Never start forcing the user paused, stopped or is watching through, nor during an ad or a second seek
+    if (state.isPaused || state.isHeld || state.isStopped || state.isYielding || state.isAdPlaying || bufferScheduler.isSeeking()) {
+      return;
+    }
+    
+    if (!video || isBufferTargetReached(video) || state.seekAttempts >= config.maxSeekAttempts) {
+      stopBuffering();
+      return;
+    }
+    
+    // Watch-while-buffering mode never seeks under a playing video
+    if (config.watchWhileBuffering && !video.paused) {
+      yieldToPlayback(video);
+      return;
+    }
+    
+    // Check for quality changes, which restart the buffering process
+    if (checkQualityChange()) {
+      return;
+    }
+    
+    // Update connection speed data
+    connectionTracker.update();
+    
+    if (!state.isBuffering) {
+      // Store original state
+      state.originalPlaybackRate = video.playbackRate;
+      state.originalPlaybackTime = video.currentTime;
+      state.isBuffering = true;
+      
+      // Initialize buffer tracking
+      state.lastBufferedSeconds = getBufferedSeconds(video);
+      state.lastBufferTime = Date.now();
+      
+      // Pause the video while buffering
+      if (!video.paused && !config.watchWhileBuffering) {
+        video.pause();
+      }
+      
+      const currentQuality = getCurrentVideoQuality();
       
       // Log buffering start with current quality
       debugLog(`Starting buffering process${currentQuality ? ` (${currentQuality})` : ''}`);
+    } else {
+      // Between probes the video sits at the playhead, which moves while it plays
+      state.originalPlaybackTime = video.currentTime;
+    }
+    
+    const playbackPosition = getPlaybackPosition(video);
+    const bufferTarget = getBufferTarget(video);
+    
+    // Holes between the playhead and the target, in the order they should be filled
+    const gaps = planBufferGaps(video, playbackPosition, bufferTarget);
+    const remainingTime = getIntervalsLength(gaps);
+    const targetLength = Math.max(bufferTarget - playbackPosition, 0.5);
+    const bufferPercentage = Math.round(Math.max(0, 1 - remainingTime / targetLength) * 100);
+    const bufferSpeed = calculateBufferSpeed(video);
+    state.bufferProgress = { percent: bufferPercentage, speed: bufferSpeed };
+    
+    // Log detailed buffering status
+    if (state.seekAttempts % 5 === 0 || bufferPercentage % 10 === 0) {
+      debugLog(`Buffering: ${Math.round(targetLength - remainingTime)}s / ${Math.round(targetLength)}s covered (${bufferPercentage}%), Gaps: ${gaps.length}, Speed: ${bufferSpeed.toFixed(2)}s/s, Strategy: ${state.bufferingStrategyName} (${state.bufferingStrategy.describe()})`);
+      
+      // Send status update to background script
+      sendBufferStatus({
+        status: 'progress',
+        quality: state.lastKnownQuality,
+        isShorts: state.isShorts,
+        progress: bufferPercentage,
+        speed: bufferSpeed.toFixed(2),
+        attempts: state.seekAttempts,
+        gaps: gaps.length,
+        remainingTime: Math.round(remainingTime)
+      });
+    }
+    
+    // If no gaps are left or we have reached max attempts, we're done
+    if (gaps.length === 0 || state.seekAttempts >= config.maxSeekAttempts) {
+      debugLog('Buffering complete or max attempts reached');
+      stopBuffering();
+      return;
+    }
+    
+    // Let the strategy size the step from this cycle's speed sample
+    const seekStep = state.bufferingStrategy.getSeekStep(getStrategyContext(video, bufferSpeed));
+    
+    // Aim one step into the next gap, or at its middle when the gap is narrower than a step
+    const nextGap = gaps[0];
+    const nextSeekPosition = nextGap.start + Math.min(seekStep, (nextGap.end - nextGap.start) / 2);
+    
+    // Advanced handling for all video formats
+    try {
+      // Seek ahead to force buffer; the scheduler finishes the probe once the player reacts
+      seekInternally(video, nextSeekPosition);
+      bufferScheduler.beginProbe({ playbackPosition, bufferTarget, remainingTime });
+    } catch (outerError) {
+      debugLog('Error during seek:', outerError);
+      state.seekAttempts++;
+      
+      // If we encounter errors, try to recover
+      state.consecutiveFailedAttempts++;
+      
+      if (state.consecutiveFailedAttempts >= 10) {
+        debugLog('Too many consecutive errors, stopping buffer process');
+        stopBuffering();
+      } else {
+        bufferScheduler.endCycle();
+      }
+    }
+  };
+  
+  /**
+   * Starts the buffering process
+   */
+  const startBuffering = () => {
+    const video = state.videoElement;
+    if (!video || state.isBuffering) return;
+    
+    state.originalPlaybackTime = video.currentTime;
+    state.originalPlaybackRate = video.playbackRate;
+    state.isBuffering = true;
+    state.seekAttempts = 0;
+    state.consecutiveFailedAttempts = 0;
+    state.sessionStartBytes = mediaBytes.total;
+    resetBufferingStrategy();
+    
+    // Initialize buffer speed tracking
+    state.lastBufferedSeconds = getBufferedSeconds(video);
+    state.lastBufferTime = Date.now();
+    
+    // Lock the quality first so everything forced below is buffered at the level that plays
+    if (!state.pinnedQuality) {
+      pinQuality();
+    }
+    
+    const currentQuality = state.pinnedQuality ? QUALITY_LABELS[state.pinnedQuality] : getCurrentVideoQuality();
+    state.lastKnownQuality = currentQuality;
+    debugLog(`Starting force buffering${currentQuality ? ` (${currentQuality})` : ''}`);
+    
+    // Notify background script that buffering has started
+    sendBufferStatus({
+      status: 'started',
+      quality: currentQuality,
+      isShorts: state.isShorts,
+      strategy: state.bufferingStrategyName,
+      duration: Math.round(getTimelineEnd(video)) || null
+    });
+    
+    forceBuffering();
+  };
+  
+  /**
+   * Stops the buffering process and restores original playback state
+   * @param {string} status - Status reported to the background script ('complete', 'stopped' or 'restarting')
+   * @param {boolean} restorePosition - Whether to seek back; false once the element plays another video
+   */
+  const stopBuffering = (status = 'complete', restorePosition = true) => {
+    if (!state.isBuffering && !state.isYielding && !state.isSuspended) {
+      return;
+    }
+    
+    debugLog('Stopping buffer forcing');
+    
+    // Drop any seek still in flight before restoring
+    bufferScheduler.cancel();
+    
+    // Restore original state, unless the user is already watching from their own position
+    const video = state.videoElement;
+    const fullyBuffered = Boolean(video) && isBufferTargetReached(video);
+    if (!fullyBuffered && state.seekAttempts >= config.maxSeekAttempts) {
+      // Don't restart on this video until something changes
+      state.gaveUp = true;
+    }
+    if (video && state.isBuffering && restorePosition) {
+      seekInternally(video, state.originalPlaybackTime);
+      video.playbackRate = state.originalPlaybackRate;
+    }
+    
+    // Reset buffering state
+    const strategy = state.bufferingStrategyName;
+    state.isBuffering = false;
+    state.isYielding = false;
+    state.isSuspended = false;
+    state.qualityChangeDetected = false;
+    resetBufferingStrategy();
+    
+    const currentQuality = getCurrentVideoQuality();
+    
+    // Notify background script that buffering is complete
+    sendBufferStatus({
+      status,
+      quality: currentQuality,
+      isShorts: state.isShorts,
+      attempts: state.seekAttempts,
+      fullyBuffered,
+      capped: evictionTracker.isLimiting(),
+      gaveUp: state.gaveUp,
+      strategy,
+      duration: video ? Math.round(getTimelineEnd(video)) || null : null,
+      mode: getBufferMode(),
+      bytes: mediaBytes.total - state.sessionStartBytes
+    });
+    
+    // Reset tracking variables
+    state.seekAttempts = 0;
+    connectionTracker.reset();
+    
+    // With the whole video in, the connection is free to get the next one ready
+    if (status === 'complete' && video && isVideoFullyBuffered(video)) {
+      upNextPrefetcher.start();
+    }
+  };
+  
+  /**
+   * Halts forcing without ending the session, restoring the playback position
+   */
+  const suspendForcing = () => {
+    if (state.isBuffering || state.isYielding) {
+      state.isSuspended = true;
+    }
+    state.isYielding = false;
+    
+    if (state.isBuffering) {
+      bufferScheduler.cancel();
+      const video = state.videoElement;
+      if (video) {
+        seekInternally(video, state.originalPlaybackTime);
+        video.playbackRate = state.originalPlaybackRate;
+      }
+      state.isBuffering = false;
+    }
+  };
+  
+  /**
+   * Queues this tab's forcing while the background scheduler gives the slots to other tabs
+   */
+  const holdBuffering = () => {
+    state.isHeld = true;
+    if (state.isPaused || state.isStopped) {
+      return;
+    }
+    
+    suspendForcing();
+    debugLog('Buffer forcing queued behind other tabs');
+    
+    sendBufferStatus({
+      status: 'queued',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts
+    });
+  };
+  
+  const releaseBuffering = () => {
+    if (!state.isHeld) {
+      return;
+    }
+    
+    state.isHeld = false;
+    if (state.isPaused || state.isStopped) {
+      return;
+    }
+    
+    debugLog('Buffer forcing got a slot, continuing');
+    sendBufferStatus({
+      status: 'dequeued',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts
+    });
+    
+    bufferScheduler.wake();
+  };
+  
+  /**
+   * Pauses forcing without ending the session, restoring the playback position
+   */
+  const pauseBuffering = () => {
+    if (state.isPaused || state.isStopped) {
+      return;
+    }
+    
+    state.isPaused = true;
+    suspendForcing();
+    
+    debugLog('Buffer forcing paused');
+    
+    sendBufferStatus({
+      status: 'paused',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts
+    });
+  };
+  
+  /**
+   * Resumes a paused session, keeping its seek count; the next check decides whether forcing may run
+   */
+  const resumeBuffering = () => {
+    if (!state.isPaused) {
+      return;
+    }
+    
+    state.isPaused = false;
+    debugLog('Buffer forcing resumed');
+    
+    sendBufferStatus({
+      status: 'resumed',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts
+    });
+    
+    bufferScheduler.wake();
+  };
+  
+  /**
+   * Whether the current video has a session that can be paused or resumed
+   * @returns {boolean} - True while forcing runs, waits for playback to pause, or is paused or queued mid-session
+   */
+  const hasRunningSession = () => state.isBuffering || state.isYielding || state.isSuspended || state.isPaused;
+  
+  /**
+   * Switches the current video to the next buffering mode, for the keyboard shortcut; the options page setting stays as is
+   */
+  const cycleBufferMode = () => {
+    const modes = settingChoices.bufferMode;
+    const mode = modes[(modes.indexOf(state.bufferModeOverride || config.bufferMode) + 1) % modes.length];
+    state.bufferModeOverride = mode;
+    state.gaveUp = false;
+    debugLog(`Buffering mode switched to ${mode} for this video`);
+    
+    sendBufferStatus({
+      status: 'mode_changed',
+      mode,
+      effectiveMode: getBufferMode(),
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts
+    });
+    playerOverlay.notify(mode === 'ahead' ? 'Mode: buffer ahead' : 'Mode: whole video');
+    
+    // A narrower target may already be reached, a wider one needs forcing again
+    bufferScheduler.wake();
+  };
+  
+  /**
+   * Handles commands forwarded by the background script from the popup, the scheduler and the keyboard shortcuts
+   * @param {string} command - One of the protocol's BUFFER_COMMANDS
+   * @returns {boolean} - Whether the command was applied
+   */
+  const handleBufferCommand = (command) => {
+    if (!state.videoElement) {
+      return false;
     }
     
-    const duration = video.duration;
-    const furthestBufferedTime = getFurthestBufferedTime(video);
-    const remainingTime = duration - furthestBufferedTime;
-    const bufferPercentage = Math.round((furthestBufferedTime/duration)*100);
-    const bufferSpeed = calculateBufferSpeed(video);
+    debugLog(`Received command: ${command}`);
     
-    // Log detailed buffering status
-    if (state.seekAttempts % 5 === 0 || bufferPercentage % 10 === 0) {
-      debugLog(`Buffering: ${Math.round(furthestBufferedTime)}s / ${Math.round(duration)}s (${bufferPercentage}%), Speed: ${bufferSpeed.toFixed(2)}s/s, Strategy: ${state.bufferingStrategy}`);
+    switch (command) {
+      case 'pause':
+        pauseBuffering();
+        return true;
+        
+      case 'resume':
+        resumeBuffering();
+        return true;
+        
+      // Sent by the background scheduler rather than the popup
+      case 'hold':
+        holdBuffering();
+        return true;
+        
+      case 'release':
+        releaseBuffering();
+        return true;
+        
+      case 'restart':
+        // A restarted session asks the scheduler for a slot again
+        state.isPaused = false;
+        state.isHeld = false;
+        state.isStopped = false;
+        state.gaveUp = false;
+        stopBuffering('stopped');
+        evictionTracker.reset();
+        
+        // The next check starts over, unless the stream has nothing to buffer
+        bufferScheduler.wake();
+        return true;
+        
+      // Keyboard shortcuts; buffering from the current position and stopping reuse 'restart' and 'stop'
+      case 'toggle':
+        if (state.isStopped) {
+          return handleBufferCommand('restart');
+        }
+        // Like the overlay's button, only a running session can be paused; resuming goes through the next check
+        if (!hasRunningSession()) {
+          return false;
+        }
+        return handleBufferCommand(state.isPaused ? 'resume' : 'pause');
+        
+      case 'cycleMode':
+        cycleBufferMode();
+        return true;
+        
+      case 'stop':
+        if (state.isPaused || (state.isHeld && !state.isBuffering && !state.isYielding)) {
+          // Paused and queued sessions already restored the playhead, only report the end so the
+          // background frees the session and its slot
+          state.isPaused = false;
+          state.isHeld = false;
+          state.isSuspended = false;
+          sendBufferStatus({
+            status: 'stopped',
+            quality: state.lastKnownQuality,
+            isShorts: state.isShorts,
+            attempts: state.seekAttempts
+          });
+          state.seekAttempts = 0;
+        } else {
+          stopBuffering('stopped');
+        }
+        state.isStopped = true;
+        releaseQuality();
+        return true;
+        
+      default:
+        return false;
+    }
+  };
+  
+  /**
+   * Checks the quality again whenever the video's resolution changes, for players the bridge cannot reach
+   * @param {HTMLVideoElement} video - The video element
+   */
+  const attachQualityWatcher = (video) => {
+    const onResize = () => checkQualityChange();
+    video.addEventListener('resize', onResize);
+    state.qualityWatcher = { video, onResize };
+  };
+  
+  const detachQualityWatcher = () => {
+    if (!state.qualityWatcher) {
+      return;
+    }
+    
+    const { video, onResize } = state.qualityWatcher;
+    video.removeEventListener('resize', onResize);
+    state.qualityWatcher = null;
+  };
+  
+  /**
+   * Starts monitoring the video buffer
+   */
+  const startBufferMonitoring = (video) => {
+    if (!video || state.isMonitoring) {
+      return;
+    }
+    
+    state.isMonitoring = true;
+    state.videoElement = video;
+    state.isShorts = checkIfShorts();
+    state.isPaused = false;
+    state.isHeld = false;
+    state.isStopped = false;
+    state.isYielding = false;
+    state.isSuspended = false;
+    state.gaveUp = false;
+    state.lastKnownQuality = getCurrentVideoQuality();
+    state.streamType = null;
+    state.isAdPlaying = false;
+    state.budgetReported = false;
+    state.reportedNetworkPolicy = null;
+    state.reportedBatteryLow = null;
+    state.bufferProgress = null;
+    state.bufferModeOverride = null;
+    evictionTracker.reset();
+    
+    debugLog(`Starting buffer monitoring${state.isShorts ? ' (Shorts video)' : ''}${state.lastKnownQuality ? ` (${state.lastKnownQuality})` : ''}`);
+    
+    // Setup detection for quality changes, and make sure the bridge reports this player
+    attachQualityWatcher(video);
+    pageBridge.request();
+    
+    // Tell user seeks and play/pause apart from our own
+    attachPlaybackListeners(video);
+    
+    // Media events drive the buffer loop from here on
+    bufferScheduler.attach(video);
+    bufferScheduler.wake();
+    
+    playerOverlay.attach(video);
+  };
+  
+  /**
+   * Checks the player's ad state and ad overlay classes for an ad on the monitored video element
+   * @returns {boolean} - Whether an ad is playing
+   */
+  const isAdPlaying = () => {
+    const playerState = pageBridge.playerState;
+    if (playerState && playerState.isAd) {
+      return true;
+    }
+    
+    const player = navigationWatcher.player;
+    return Boolean(player) && (player.classList.contains('ad-showing') || player.classList.contains('ad-interrupting'));
+  };
+  
+  /**
+   * Suspends forcing while an ad plays and resumes against the content afterwards
+   * @returns {boolean} - Whether an ad is playing
+   */
+  const updateAdState = () => {
+    const adPlaying = isAdPlaying();
+    if (adPlaying === state.isAdPlaying) {
+      return adPlaying;
+    }
+    state.isAdPlaying = adPlaying;
+    
+    if (adPlaying) {
+      debugLog('Ad playing, suspending buffer forcing');
+      
+      // Drop the seek in flight; it belongs to the content and is not counted as an attempt
+      bufferScheduler.cancel();
+      state.internalSeekTarget = null;
+      if (state.isBuffering) {
+        sendBufferStatus({
+          status: 'ad_started',
+          quality: state.lastKnownQuality,
+          isShorts: state.isShorts
+        });
+      }
+      return true;
+    }
+    
+    debugLog('Ad finished, resuming buffer forcing');
+    const video = state.videoElement;
+    
+    // The ad had the element's buffer to itself, so compare from what the content has now
+    evictionTracker.rebase();
+    if (state.isBuffering && video) {
+      // Measure speed from here, so the ad's own download doesn't count
+      state.lastBufferedSeconds = getBufferedSeconds(video);
+      state.lastBufferTime = Date.now();
+      connectionTracker.lastSampleTime = 0;
+      
+      // The content may resume where the last probe seeked to, not where the user was
+      if (Math.abs(video.currentTime - state.originalPlaybackTime) > 0.5) {
+        seekInternally(video, state.originalPlaybackTime);
+      }
+      
+      sendBufferStatus({
+        status: 'ad_ended',
+        quality: state.lastKnownQuality,
+        isShorts: state.isShorts
+      });
+    }
+    bufferScheduler.wake();
+    return false;
+  };
+  
+  /**
+   * Records the stream type and tells the background script when it changes
+   * @param {string} streamType - Result of getStreamType
+   */
+  const updateStreamType = (streamType) => {
+    const previous = state.streamType;
+    if (streamType === previous) {
+      return;
+    }
+    state.streamType = streamType;
+    
+    // Regular videos are the norm and only worth reporting when a stream turns into one
+    if (streamType === 'vod' && !previous) {
+      return;
+    }
+    
+    debugLog(`Stream type: ${streamType}${previous ? ` (was ${previous})` : ''}`);
+    sendBufferStatus({
+      status: 'stream_type',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts,
+      previous,
+      forcing: isForceableStream(streamType)
+    });
+  };
+  
+  /**
+   * Tells the background script, once per video, that the data budget is spent
+   */
+  const reportBudgetReached = () => {
+    if (state.budgetReported) {
+      return;
+    }
+    state.budgetReported = true;
+
+    const limit = `${config.dataBudgetMegabytes} MB ${config.dataBudgetPeriod === 'monthly' ? 'monthly' : 'daily'}`;
+    debugLog(`Data budget of ${limit} reached, ${config.dataBudgetAction === 'stop' ? 'not forcing' : 'buffering ahead only'}`);
+    sendBufferStatus({
+      status: 'budget_reached',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts,
+      action: config.dataBudgetAction,
+      period: config.dataBudgetPeriod,
+      usedBytes: dataBudget.getUsedBytes()
+    });
+  };
+
+  /**
+   * Tells the background script the player evicted buffered video ahead of the playhead
+   * @param {Object} eviction - Result of evictionTracker.update
+   */
+  const reportEviction = (eviction) => {
+    const handling = config.evictionHandling === 'cap' ? 'capping the target' : 're-buffering near the playhead';
+    debugLog(`Player evicted ${Math.round(eviction.lostSeconds)}s buffered ahead of the playhead and keeps about ${Math.round(eviction.capacity)}s, ${handling}`);
+    
+    sendBufferStatus({
+      status: 'evicted',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts,
+      lostSeconds: Math.round(eviction.lostSeconds),
+      lostRanges: eviction.lost.map((interval) => [Math.round(interval.start), Math.round(interval.end)]),
+      capacity: Math.round(eviction.capacity),
+      totalEvicted: Math.round(evictionTracker.evictedSeconds),
+      handling: config.evictionHandling
+    });
+  };
+  
+  /**
+   * Tells the background script when network rules change how the current video is forced
+   */
+  const reportNetworkPolicy = () => {
+    const policy = networkPolicy.current;
+    const previous = state.reportedNetworkPolicy;
+    if (policy === previous) {
+      return;
+    }
+    state.reportedNetworkPolicy = policy;
+    
+    // An unrestricted network is only worth reporting when it lifts an earlier restriction
+    if (policy === 'full' && !previous) {
+      return;
+    }
+    
+    const rules = networkPolicy.getMatchingRules();
+    debugLog(`Network policy: ${policy}${rules.length > 0 ? ` (${rules.join(', ')})` : ''}`);
+    sendBufferStatus({
+      status: 'network_policy',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts,
+      policy,
+      previous,
+      rules,
+      network: networkPolicy.describe()
+    });
+  };
+  
+  /**
+   * Tells the background script when the low-battery rule pauses forcing of the current video, or lets it go on
+   */
+  const reportBatteryPolicy = () => {
+    const batteryLow = powerPolicy.batteryLow;
+    const previous = state.reportedBatteryLow;
+    if (batteryLow === previous) {
+      return;
+    }
+    state.reportedBatteryLow = batteryLow;
+    
+    // Like network rules, a healthy battery is only reported after a pause
+    if (!batteryLow && previous === null) {
+      return;
+    }
+    
+    sendBufferStatus({
+      status: 'battery_policy',
+      quality: state.lastKnownQuality,
+      isShorts: state.isShorts,
+      paused: batteryLow,
+      battery: powerPolicy.describeBattery()
+    });
+  };
+  
+  /**
+   * Buffer check run by the scheduler, deciding whether to start, continue or stop forcing
+   */
+  const checkBuffer = () => {
+    // The ad's duration and buffer are not the content's, so nothing is judged until it ends
+    if (updateAdState() || state.isPaused || state.isHeld || state.isStopped || state.gaveUp) {
+      return;
+    }
+    
+    const video = state.videoElement;
+    if (!video) {
+      stopBuffering();
+      return;
+    }
+    
+    // Live and upcoming streams have nothing to buffer ahead, unless a DVR window allows it
+    const streamType = getStreamType(video);
+    if (!isForceableStream(streamType)) {
+      stopBuffering('stopped');
+      updateStreamType(streamType);
+      return;
+    }
+    updateStreamType(streamType);
+    
+    // Ranges the player dropped to stay within its quota change what is worth forcing
+    const eviction = evictionTracker.update(video);
+    if (eviction) {
+      reportEviction(eviction);
+    }
+    
+    // A spent data budget ends forcing, or narrows the target to the buffer-ahead window
+    if (dataBudget.isExhausted()) {
+      const stopForcing = config.dataBudgetAction === 'stop';
+      if (stopForcing) {
+        stopBuffering('stopped');
+      }
+      reportBudgetReached();
+      if (stopForcing) {
+        return;
+      }
+    }
+    
+    // Network rules can narrow forcing to buffer-ahead, or rule it out until the connection changes
+    const networkRuledOut = networkPolicy.current === 'off';
+    if (networkRuledOut) {
+      stopBuffering('stopped');
+    }
+    reportNetworkPolicy();
+    if (networkRuledOut) {
+      return;
+    }
+    
+    // A low battery rules out forcing until the charger is connected or the level recovers
+    const batteryLow = powerPolicy.batteryLow;
+    if (batteryLow) {
+      stopBuffering('stopped');
+    }
+    reportBatteryPolicy();
+    if (batteryLow) {
+      return;
+    }
+    
+    // Only force buffering when the mode's target is not already buffered
+    if (isBufferTargetReached(video)) {
+      stopBuffering();
+      
+      // The player may buffer a video fully on its own, without a forcing session reaching the complete path
+      if (isVideoFullyBuffered(video)) {
+        upNextPrefetcher.start();
+      }
+      return;
+    }
+    
+    // Watch-while-buffering mode waits for the video to be paused
+    if (config.watchWhileBuffering && !video.paused) {
+      if (state.isBuffering) {
+        yieldToPlayback(video);
+      }
+      return;
+    }
+    
+    if (state.isYielding) {
+      resumeFromYield();
+    } else if (state.isSuspended) {
+      // A session paused or queued mid-forcing picks up where it left off
+      state.isSuspended = false;
+      forceBuffering();
+    } else if (!state.isBuffering) {
+      // Idle buffer-ahead sessions wait until the window drains below the refill share
+      if (!isBufferTargetReached(video, config.bufferAheadRefillRatio)) {
+        startBuffering();
+      }
+    } else {
+      forceBuffering();
+    }
+  };
+  
+  /**
+   * Stops monitoring the video buffer
+   * @param {string} status - Status reported if forcing was still running
+   * @param {boolean} restorePosition - Whether forcing seeks back to where playback was
+   */
+  const stopBufferMonitoring = (status = 'complete', restorePosition = true) => {
+    stopBuffering(status, restorePosition);
+    
+    bufferScheduler.detach();
+    playerOverlay.detach();
+    detachQualityWatcher();
+    releaseQuality();
+    if (state.videoElement) {
+      detachPlaybackListeners(state.videoElement);
+    }
+    state.isMonitoring = false;
+    state.videoElement = null;
+    debugLog('Stopped buffer monitoring');
+  };
+  
+  /**
+   * Seeks a video that is not on screen into its next unbuffered gap; nothing is restored between seeks
+   * @param {HTMLVideoElement} video - The off-screen video
+   * @param {number} to - Position (seconds) it should be buffered up to from the start
+   * @param {number} seekStep - Distance (seconds) to seek into the gap
+   * @returns {boolean} - Whether a seek was made, false once everything up to `to` is buffered
+   */
+  const seekIntoNextGap = (video, to, seekStep) => {
+    const gaps = planBufferGaps(video, 0, to);
+    if (gaps.length === 0) {
+      return false;
+    }
+    
+    const nextGap = gaps[0];
+    video.currentTime = nextGap.start + Math.min(seekStep, (nextGap.end - nextGap.start) / 2);
+    return true;
+  };
+  
+  /**
+   * Sums the video data a window has downloaded, from its Resource Timing entries
+   * @param {Window} win - Window whose requests are measured
+   * @returns {number} - Bytes transferred for videoplayback requests
+   */
+  const getVideoplaybackBytes = (win) => {
+    return win.performance.getEntriesByType('resource')
+      .filter((entry) => entry.name.includes('videoplayback'))
+      .reduce((sum, entry) => sum + (entry.transferSize || entry.encodedBodySize || 0), 0);
+  };
+  
+  // Pre-buffers the Shorts that follow the visible one in the feed, each in its own session
+  const shortsPrefetcher = {
+    sessions: new Map(), // Reel renderer -> { video, timer, seeks, moved, done }
+    
+    /**
+     * Starts sessions for the next Shorts and cancels those for Shorts that are no longer upcoming
+     */
+    update() {
+      if (!isPrefetchAllowed()) {
+        this.stop();
+        return;
+      }
+      
+      const upcoming = new Set(this.findUpcomingReels());
+      
+      this.sessions.forEach((session, reel) => {
+        if (!upcoming.has(reel)) {
+          this.cancel(reel);
+        }
+      });
+      
+      upcoming.forEach((reel) => {
+        if (!this.sessions.has(reel)) {
+          this.start(reel);
+        }
+      });
+    },
+    
+    stop() {
+      this.sessions.forEach((session, reel) => this.cancel(reel));
+    },
+    
+    /**
+     * Finds the reel renderers after the active one
+     * @returns {Element[]} - Up to shortsPrefetchCount renderers, nearest first
+     */
+    findUpcomingReels() {
+      if (!checkIfShorts() || config.shortsPrefetchCount <= 0) {
+        return [];
+      }
+      
+      const reels = Array.from(document.querySelectorAll('ytd-reel-video-renderer'));
+      const active = reels.findIndex((reel) => reel.hasAttribute('is-active'));
+      if (active === -1) {
+        return [];
+      }
+      return reels.slice(active + 1, active + 1 + config.shortsPrefetchCount);
+    },
+    
+    start(reel) {
+      const video = reel.querySelector('video');
+      if (!video || video === state.videoElement) {
+        return;
+      }
+      
+      const session = { video, timer: null, seeks: 0, moved: false, done: false };
+      this.sessions.set(reel, session);
+      video.preload = 'auto';
+      this.step(reel, session);
+    },
+    
+    /**
+     * Cancels a session, putting its Short back at the start if forcing moved it
+     * @param {Element} reel - Reel renderer of the session
+     */
+    cancel(reel) {
+      const session = this.sessions.get(reel);
+      clearTimeout(session.timer);
+      if (session.moved && !session.done && session.video !== state.videoElement) {
+        session.video.currentTime = 0;
+      }
+      this.sessions.delete(reel);
+    },
+    
+    /**
+     * Seeks an upcoming Short into its next unbuffered gap; it is not playing, so nothing is restored between seeks
+     * @param {Element} reel - Reel renderer of the session
+     * @param {Object} session - The prefetch session
+     */
+    step(reel, session) {
+      session.timer = null;
+      const video = session.video;
+      
+      // The Short has become the visible one, which the main session takes over
+      if (video === state.videoElement) {
+        this.sessions.delete(reel);
+        return;
+      }
+      
+      if (!isPrefetchAllowed()) {
+        this.cancel(reel);
+        return;
+      }
+      
+      // The visible Short gets the bandwidth first, and nothing can be planned before metadata loads
+      if (state.isBuffering || state.isAdPlaying || !(video.duration > 0) || !isFinite(video.duration)) {
+        session.timer = setTimeout(() => this.step(reel, session), getCheckInterval());
+        return;
+      }
+      
+      if (session.seeks >= config.maxSeekAttempts || !seekIntoNextGap(video, video.duration, config.shortsSeekStepSize)) {
+        this.finish(session);
+        return;
+      }
+      
+      session.moved = true;
+      session.seeks++;
+      session.timer = setTimeout(() => this.step(reel, session), getCheckInterval());
+    },
+    
+    finish(session) {
+      if (session.moved) {
+        session.video.currentTime = 0;
+      }
+      session.done = true;
+      
+      const sessions = Array.from(this.sessions.values());
+      const ready = sessions.filter((entry) => entry.done).length;
+      debugLog(`Pre-buffered an upcoming Short after ${session.seeks} seeks (${ready}/${sessions.length} ready)`);
+      sendBufferStatus({
+        status: 'prefetch',
+        quality: state.lastKnownQuality,
+        isShorts: true,
+        attempts: session.seeks,
+        ready,
+        total: sessions.length
+      });
+    }
+  };
+  
+  // Warms up the next playlist item or autoplay video in a hidden, muted embed player
+  const upNextPrefetcher = {
+    frame: null,
+    timer: null,
+    videoId: null,
+    seeks: 0,
+    loadChecks: 0,
+    maxLoadChecks: 30,
+    lastPrefetched: null,
+    countedBytes: 0,
+    
+    /**
+     * Finds the video the player will move on to, if a playlist or autoplay is going to
+     * @returns {string|null} - Video ID of the next item
+     */
+    findNextVideoId() {
+      const player = navigationWatcher.player;
+      if (!player) {
+        return null;
+      }
+      
+      const inPlaylist = new URLSearchParams(window.location.search).has('list');
+      const autoplay = player.querySelector('.ytp-autonav-toggle-button[aria-checked="true"]');
+      const nextButton = player.querySelector('.ytp-next-button');
+      if ((!inPlaylist && !autoplay) || !nextButton || !nextButton.href) {
+        return null;
+      }
       
-      // Send status update to background script
       try {
-        chrome.runtime.sendMessage({
-          type: 'BUFFER_STATUS',
-          data: { 
-            status: 'progress',
-            quality: state.lastKnownQuality,
-            isShorts: state.isShorts,
-            progress: bufferPercentage,
-            speed: bufferSpeed.toFixed(2),
-            remainingTime: Math.round(remainingTime)
-          }
-        });
+        return new URL(nextButton.href, window.location.origin).searchParams.get('v');
       } catch (error) {
-        // Ignore errors from disconnected port
+        return null;
       }
-    }
-    
-    // If we have less than 0.5 second remaining or have reached max attempts, we're done
-    if (remainingTime <= 0.5 || state.seekAttempts >= config.maxSeekAttempts) {
-      debugLog('Buffering complete or max attempts reached');
-      stopBuffering();
-      return;
-    }
-    
-    // Get adaptive seek step size
-    const seekStep = getSeekStepSize(video);
+    },
     
-    // Calculate next seek position
-    const nextSeekPosition = Math.min(furthestBufferedTime + seekStep, duration - 0.1);
+    start() {
+      if (!config.upNextPrefetch || this.frame || state.isShorts || state.streamType !== 'vod' || !isPrefetchAllowed()) {
+        return;
+      }
+      
+      const videoId = this.findNextVideoId();
+      if (!videoId || videoId === this.lastPrefetched) {
+        return;
+      }
+      
+      debugLog(`Warming up the next video (${videoId})`);
+      this.videoId = videoId;
+      this.lastPrefetched = videoId;
+      this.seeks = 0;
+      this.loadChecks = 0;
+      this.countedBytes = 0;
+      
+      // Same-origin embed, so its video element and request timings stay reachable
+      const frame = document.createElement('iframe');
+      frame.src = `${window.location.origin}/embed/${videoId}?autoplay=1&mute=1&controls=0&playsinline=1`;
+      frame.setAttribute('aria-hidden', 'true');
+      frame.tabIndex = -1;
+      frame.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 320px; height: 180px; border: 0; pointer-events: none;';
+      document.body.appendChild(frame);
+      this.frame = frame;
+      
+      this.timer = setTimeout(() => this.step(), getCheckInterval());
+    },
     
-    // Track previous buffer position to check if we're making progress
-    const previousBufferedTime = furthestBufferedTime;
+    stop() {
+      clearTimeout(this.timer);
+      this.timer = null;
+      if (this.frame) {
+        this.frame.remove();
+        this.frame = null;
+      }
+    },
     
-    // Advanced handling for all video formats
-    try {
-      // Store current position
-      const currentPosition = video.currentTime;
+    /**
+     * Buffers the start of the next video until the minutes or data limit is reached
+     */
+    step() {
+      this.timer = null;
+      const frameWindow = this.frame.contentWindow;
+      const video = frameWindow && this.frame.contentDocument ? this.frame.contentDocument.querySelector('video') : null;
+      if (!video || !(video.duration > 0)) {
+        // Embedding may be disabled for the video, in which case no player ever loads
+        if (++this.loadChecks >= this.maxLoadChecks) {
+          debugLog('The next video did not load in the background, skipping the warm-up');
+          this.stop();
+        } else {
+          this.timer = setTimeout(() => this.step(), getCheckInterval());
+        }
+        return;
+      }
       
-      // Seek ahead to force buffer
-      video.currentTime = nextSeekPosition;
+      // Only the buffer matters, so the hidden player never plays on
+      video.muted = true;
+      if (!video.paused) {
+        video.pause();
+      }
       
-      // Wait briefly for buffering to start
-      setTimeout(() => {
-        try {
-          if (!video) return;
-          
-          // Check if we made progress
-          const newFurthestBuffered = getFurthestBufferedTime(video);
-          const madeProgress = newFurthestBuffered > previousBufferedTime + 1;
-          
-          // Update buffering strategy based on results
-          updateBufferingStrategy(madeProgress);
-          
-          // Return to original position
-          video.currentTime = currentPosition;
-          
-          state.seekAttempts++;
-          
-          // If we've had too many failed attempts, introduce a delay to potentially recover
-          if (state.consecutiveFailedAttempts > 5 && state.seekAttempts % 5 === 0) {
-            debugLog('Multiple failed buffering attempts, introducing delay to recover');
-            
-            // Wait a bit longer before next attempt
-            setTimeout(() => {
-              forceBuffering();
-            }, 500);
-          }
-        } catch (innerError) {
-          debugLog('Error during seek callback:', innerError);
-          state.seekAttempts++;
-        }
-      }, 150 + (state.consecutiveFailedAttempts * config.retryDelayIncrement));
-    } catch (outerError) {
-      debugLog('Error during seek:', outerError);
-      state.seekAttempts++;
+      const bytes = getVideoplaybackBytes(frameWindow);
+      const target = Math.min(video.duration, config.upNextPrefetchMinutes * 60);
+      const overLimit = bytes >= config.upNextPrefetchMegabytes * 1024 * 1024;
+      const ruledOut = !isPrefetchAllowed();
       
-      // If we encounter errors, try to recover
-      state.consecutiveFailedAttempts++;
+      // The frame has its own resource timeline, so its downloads are added to this page's total and the data budget
+      mediaBytes.add(Math.max(0, bytes - this.countedBytes));
+      this.countedBytes = Math.max(bytes, this.countedBytes);
       
-      if (state.consecutiveFailedAttempts >= 10) {
-        debugLog('Too many consecutive errors, stopping buffer process');
-        stopBuffering();
+      // A session refilling the current video gets the bandwidth first
+      if (!overLimit && !ruledOut && (state.isBuffering || state.isAdPlaying)) {
+        this.timer = setTimeout(() => this.step(), getCheckInterval());
+        return;
+      }
+      
+      if (overLimit || ruledOut || this.seeks >= config.maxSeekAttempts || !seekIntoNextGap(video, target, config.adaptiveSeekMaximum)) {
+        const seconds = Math.round(target - getIntervalsLength(planBufferGaps(video, 0, target)));
+        debugLog(`Warmed up the next video: ${seconds}s buffered, ${(bytes / 1048576).toFixed(1)} MB${overLimit ? ' (data limit reached)' : ''}${ruledOut ? ' (stopped by a data budget, network or battery rule)' : ''}`);
+        sendBufferStatus({
+          status: 'up_next',
+          quality: state.lastKnownQuality,
+          isShorts: false,
+          nextVideoId: this.videoId,
+          seconds,
+          bytes: Math.round(bytes),
+          limited: overLimit,
+          ruledOut
+        });
+        this.stop();
+        return;
       }
+      
+      this.seeks++;
+      this.timer = setTimeout(() => this.step(), getCheckInterval());
     }
   };
   
-  /**
-   * Starts the buffering process
-   */
-  const startBuffering = () => {
-    const video = state.videoElement;
-    if (!video || state.isBuffering) return;
+  // Styles of the player overlay, injected into the page once
+  const OVERLAY_STYLES = `
+    .ytfb-overlay-bar { position: absolute; left: 0; right: 0; bottom: 100%; height: 3px; margin-bottom: 2px; pointer-events: none; z-index: 40; }
+    .ytfb-overlay-bar.ytfb-overlay-floating { bottom: 0; margin-bottom: 0; z-index: 60; }
+    .ytfb-overlay-range, .ytfb-overlay-gap { position: absolute; top: 0; height: 100%; }
+    .ytfb-overlay-range { background: rgba(62, 166, 255, 0.9); }
+    .ytfb-overlay-gap { background: rgba(255, 78, 69, 0.7); }
+    .ytfb-overlay-target { position: absolute; top: -2px; width: 2px; height: 7px; margin-left: -1px; background: #fff; }
+    .ytfb-overlay-controls { display: inline-flex; align-items: center; gap: 2px; height: 100%; vertical-align: top; color: #fff; font-size: 12px; }
+    .ytfb-overlay-controls.ytfb-overlay-floating { position: absolute; top: 12px; left: 12px; height: auto; padding: 2px 4px 2px 2px; border-radius: 14px; background: rgba(0, 0, 0, 0.6); z-index: 60; }
+    .ytfb-overlay-controls[data-layout="fullscreen"] { font-size: 15px; }
+    .ytfb-overlay-controls[data-layout="miniplayer"] { display: none; }
+    .ytfb-overlay-chip { padding: 2px 8px; border-radius: 10px; background: rgba(255, 255, 255, 0.15); white-space: nowrap; }
+    .ytfb-overlay-button { width: 28px; height: 28px; padding: 0; border: none; background: none; color: inherit; font-size: 1.2em; cursor: pointer; opacity: 0.85; }
+    .ytfb-overlay-button:hover { opacity: 1; }
+  `;
+  
+  // How long a message passed to playerOverlay.notify stays in the chip (ms)
+  const OVERLAY_NOTICE_DURATION = 2000;
+  
+  // Video events after which the drawn ranges or the status may have changed
+  const OVERLAY_EVENTS = ['progress', 'seeked', 'timeupdate', 'durationchange', 'emptied'];
+  
+  // Shows what forcing does inside the player: the buffered ranges, the gaps still to fill and the target on
+  // the progress bar, and a status chip with pause/resume and skip buttons next to the right-hand controls.
+  // Both live inside YouTube's own controls, so they follow the theater and fullscreen sizes; the miniplayer
+  // keeps only the bar, and Shorts, which have neither element, get the overlay floating over the video.
+  const playerOverlay = {
+    video: null,
+    player: null,
+    bar: null,
+    controls: null,
+    chip: null,
+    pauseButton: null,
+    skipButton: null,
+    onChange: null,
+    resizeObserver: null,
+    renderFrame: null,
+    notice: null,
+    noticeTimer: null,
     
-    state.originalPlaybackTime = video.currentTime;
-    state.originalPlaybackRate = video.playbackRate;
-    state.isBuffering = true;
-    state.seekAttempts = 0;
-    state.consecutiveFailedAttempts = 0;
-    resetBufferingStrategy();
+    /**
+     * Shows the overlay on the monitored video's player
+     * @param {HTMLVideoElement} video - The monitored video
+     */
+    attach(video) {
+      this.detach();
+      const player = video.closest('.html5-video-player');
+      if (!config.showOverlay || !player) {
+        return;
+      }
+      
+      this.video = video;
+      this.player = player;
+      this.injectStyles();
+      this.createElements();
+      
+      this.onChange = () => this.update();
+      OVERLAY_EVENTS.forEach((type) => video.addEventListener(type, this.onChange));
+      document.addEventListener('fullscreenchange', this.onChange);
+      
+      // Theater mode, fullscreen and the miniplayer all resize the player
+      if (typeof ResizeObserver !== 'undefined') {
+        this.resizeObserver = new ResizeObserver(this.onChange);
+        this.resizeObserver.observe(player);
+      }
+      
+      this.update();
+    },
     
-    const currentQuality = getCurrentVideoQuality();
-    state.lastKnownQuality = currentQuality;
-    debugLog(`Starting force buffering${currentQuality ? ` (${currentQuality})` : ''}`);
+    /**
+     * Removes the overlay and everything it listens to
+     */
+    detach() {
+      if (this.renderFrame) {
+        cancelAnimationFrame(this.renderFrame);
+        this.renderFrame = null;
+      }
+      if (this.onChange) {
+        OVERLAY_EVENTS.forEach((type) => this.video.removeEventListener(type, this.onChange));
+        document.removeEventListener('fullscreenchange', this.onChange);
+        this.onChange = null;
+      }
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+      }
+      clearTimeout(this.noticeTimer);
+      this.notice = null;
+      if (this.bar) {
+        this.bar.remove();
+        this.controls.remove();
+      }
+      
+      this.video = null;
+      this.player = null;
+      this.bar = null;
+      this.controls = null;
+      this.chip = null;
+      this.pauseButton = null;
+      this.skipButton = null;
+    },
     
-    // Notify background script that buffering has started
-    try {
-      chrome.runtime.sendMessage({
-        type: 'BUFFER_STATUS',
-        data: { 
-          status: 'started', 
-          quality: currentQuality,
-          isShorts: state.isShorts
-        }
+    /**
+     * Redraws on the next animation frame, so bursts of events cost one render
+     */
+    update() {
+      if (!this.video || this.renderFrame) {
+        return;
+      }
+      
+      this.renderFrame = requestAnimationFrame(() => {
+        this.renderFrame = null;
+        this.render();
       });
-    } catch (error) {
-      // Ignore errors from disconnected port
-    }
-    
-    forceBuffering();
-  };
-  
-  /**
-   * Stops the buffering process and restores original playback state
-   */
-  const stopBuffering = () => {
-    if (!state.isBuffering) {
-      return;
-    }
-    
-    debugLog('Stopping buffer forcing');
+    },
     
-    // Restore original state
-    const video = state.videoElement;
-    if (video) {
-      video.currentTime = state.originalPlaybackTime;
-      video.playbackRate = state.originalPlaybackRate;
-    }
+    /**
+     * Shows a short message in the chip in place of the status for a moment
+     * @param {string} message - The message
+     */
+    notify(message) {
+      clearTimeout(this.noticeTimer);
+      this.notice = message;
+      this.noticeTimer = setTimeout(() => {
+        this.notice = null;
+        this.update();
+      }, OVERLAY_NOTICE_DURATION);
+      this.update();
+    },
     
-    // Reset buffering state
-    state.isBuffering = false;
-    state.qualityChangeDetected = false;
-    resetBufferingStrategy();
+    injectStyles() {
+      if (document.getElementById('ytfb-overlay-styles')) {
+        return;
+      }
+      
+      const style = document.createElement('style');
+      style.id = 'ytfb-overlay-styles';
+      style.textContent = OVERLAY_STYLES;
+      document.head.appendChild(style);
+    },
     
-    const currentQuality = getCurrentVideoQuality();
+    createElements() {
+      this.bar = document.createElement('div');
+      this.bar.className = 'ytfb-overlay-bar';
+      
+      this.controls = document.createElement('div');
+      this.controls.className = 'ytfb-overlay-controls';
+      this.chip = document.createElement('span');
+      this.chip.className = 'ytfb-overlay-chip';
+      this.pauseButton = this.createButton();
+      this.skipButton = this.createButton();
+      this.skipButton.dataset.command = 'stop';
+      this.skipButton.textContent = '⏭';
+      this.skipButton.title = 'Skip forcing for this video';
+      this.controls.append(this.chip, this.pauseButton, this.skipButton);
+    },
     
-    // Notify background script that buffering is complete
-    try {
-      chrome.runtime.sendMessage({
-        type: 'BUFFER_STATUS',
-        data: { 
-          status: 'complete',
-          quality: currentQuality,
-          isShorts: state.isShorts,
-          attempts: state.seekAttempts
-        }
+    createButton() {
+      const button = document.createElement('button');
+      button.className = 'ytfb-overlay-button';
+      button.addEventListener('click', (event) => {
+        // Clicks on the player would otherwise toggle playback
+        event.stopPropagation();
+        handleBufferCommand(button.dataset.command);
+        this.update();
       });
-    } catch (error) {
-      // Ignore errors from disconnected port
-    }
+      return button;
+    },
     
-    // Reset tracking variables
-    state.seekAttempts = 0;
-    connectionTracker.reset();
-  };
-  
-  /**
-   * Starts monitoring the video buffer
-   */
-  const startBufferMonitoring = (video) => {
-    if (!video || state.bufferCheckInterval) {
-      return;
-    }
+    /**
+     * Names the player layout from YouTube's page and player state
+     * @returns {string} - 'shorts', 'miniplayer', 'fullscreen', 'theater' or 'default'
+     */
+    getLayout() {
+      if (state.isShorts) {
+        return 'shorts';
+      }
+      if (this.player.classList.contains('ytp-player-minimized')) {
+        return 'miniplayer';
+      }
+      if (document.fullscreenElement || this.player.classList.contains('ytp-fullscreen')) {
+        return 'fullscreen';
+      }
+      
+      const watchPage = document.querySelector('ytd-watch-flexy');
+      return watchPage && watchPage.hasAttribute('theater') ? 'theater' : 'default';
+    },
     
-    state.videoElement = video;
-    state.isShorts = checkIfShorts();
-    state.lastKnownQuality = getCurrentVideoQuality();
+    /**
+     * Places the bar and controls for the layout; YouTube rebuilds its controls at times, so this runs on every render
+     * @param {string} layout - Layout from getLayout
+     */
+    mount(layout) {
+      const progressBar = layout !== 'shorts' && this.player.querySelector('.ytp-progress-bar');
+      const rightControls = layout !== 'shorts' && this.player.querySelector('.ytp-right-controls');
+      
+      const barParent = progressBar || this.player;
+      if (this.bar.parentNode !== barParent) {
+        barParent.appendChild(this.bar);
+      }
+      this.bar.classList.toggle('ytfb-overlay-floating', !progressBar);
+      
+      if (rightControls && this.controls.parentNode !== rightControls) {
+        rightControls.prepend(this.controls);
+      } else if (!rightControls && this.controls.parentNode !== this.player) {
+        this.player.appendChild(this.controls);
+      }
+      this.controls.classList.toggle('ytfb-overlay-floating', !rightControls);
+      this.controls.dataset.layout = layout;
+    },
     
-    debugLog(`Starting buffer monitoring${state.isShorts ? ' (Shorts video)' : ''}${state.lastKnownQuality ? ` (${state.lastKnownQuality})` : ''}`);
+    render() {
+      if (!this.video) {
+        return;
+      }
+      
+      this.mount(this.getLayout());
+      this.renderBar(this.video);
+      this.renderStatus();
+    },
     
-    // Setup monitoring for video quality changes
-    const setupQualityChangeDetection = () => {
-      // Monitor for resize events which can indicate quality changes
-      video.addEventListener('resize', () => {
-        const newQuality = getCurrentVideoQuality();
-        if (state.lastKnownQuality && newQuality && state.lastKnownQuality !== newQuality) {
-          debugLog(`Quality changed from ${state.lastKnownQuality} to ${newQuality}`);
-          state.lastKnownQuality = newQuality;
-          state.qualityChangeDetected = true;
-          
-          // If we're already buffering, restart the process with new quality
-          if (state.isBuffering) {
-            stopBuffering();
-            setTimeout(() => {
-              startBuffering();
-            }, config.qualityChangeThreshold);
-          }
-        }
-      });
+    /**
+     * Draws the raw buffered ranges, and while forcing may run the gaps up to the target and the target itself
+     * @param {HTMLVideoElement} video - The monitored video
+     */
+    renderBar(video) {
+      const isDvr = state.streamType === 'dvr';
+      const start = isDvr && video.seekable.length > 0 ? video.seekable.start(0) : 0;
+      const length = (isDvr ? getLiveEdge(video) : video.duration) - start;
+      if (!isFinite(length) || length <= 0) {
+        this.bar.replaceChildren();
+        return;
+      }
       
-      // Check for YouTube quality menu clicks
-      const observer = new MutationObserver(() => {
-        setTimeout(detectQualityChange, 100);
-      });
+      const toPercent = (time) => Math.min(Math.max((time - start) / length, 0), 1) * 100;
+      const segment = (className, from, to) => {
+        const element = document.createElement('div');
+        element.className = className;
+        element.style.left = `${toPercent(from)}%`;
+        element.style.width = `${toPercent(to) - toPercent(from)}%`;
+        return element;
+      };
       
-      // Observe quality menu button for click events
-      const qualityButton = document.querySelector('.ytp-settings-button');
-      if (qualityButton) {
-        observer.observe(qualityButton, { attributes: true });
+      const elements = [];
+      for (let i = 0; i < video.buffered.length; i++) {
+        elements.push(segment('ytfb-overlay-range', video.buffered.start(i), video.buffered.end(i)));
       }
-    };
-    
-    // Setup detection for quality changes
-    setupQualityChangeDetection();
+      
+      if (isForceableStream(state.streamType) && !state.isStopped && !state.isAdPlaying) {
+        const target = getBufferTarget(video);
+        planBufferGaps(video, getPlaybackPosition(video), target).forEach((gap) => {
+          elements.push(segment('ytfb-overlay-gap', gap.start, gap.end));
+        });
+        
+        const marker = document.createElement('div');
+        marker.className = 'ytfb-overlay-target';
+        marker.style.left = `${toPercent(target)}%`;
+        elements.push(marker);
+      }
+      
+      this.bar.replaceChildren(...elements);
+    },
     
-    // Main buffer check interval
-    state.bufferCheckInterval = setInterval(() => {
-      // Only force buffering when video is not already fully buffered
-      if (state.videoElement && !isVideoFullyBuffered(state.videoElement)) {
-        if (!state.isBuffering) {
-          startBuffering();
-        } else {
-          forceBuffering();
-        }
-      } else if (state.isBuffering) {
-        stopBuffering();
+    /**
+     * Describes what forcing is doing for the chip, most specific state first
+     * @returns {string} - Chip text
+     */
+    describeStatus() {
+      const rules = getRuleState();
+      if (state.streamType && !isForceableStream(state.streamType)) {
+        return state.streamType === 'upcoming' ? 'Not started' : 'Live';
       }
-    }, config.checkInterval);
-  };
-  
-  /**
-   * Stops monitoring the video buffer
-   */
-  const stopBufferMonitoring = () => {
-    if (state.bufferCheckInterval) {
-      clearInterval(state.bufferCheckInterval);
-      state.bufferCheckInterval = null;
-    }
+      if (state.isAdPlaying) {
+        return 'Ad';
+      }
+      if (state.isStopped) {
+        return 'Skipped';
+      }
+      if (state.isPaused) {
+        return 'Paused';
+      }
+      if (state.isHeld) {
+        return 'Queued';
+      }
+      if (state.gaveUp) {
+        return 'Gave up';
+      }
+      if (rules.network === 'off') {
+        return 'Off on this network';
+      }
+      if (rules.batteryLow) {
+        return 'Battery low';
+      }
+      if (rules.budgetReached && config.dataBudgetAction === 'stop') {
+        return 'Data budget used';
+      }
+      if (state.isYielding) {
+        return 'Waiting for pause';
+      }
+      if (state.isBuffering && state.bufferProgress) {
+        const { percent, speed } = state.bufferProgress;
+        return `${percent}% · ${speed.toFixed(1)} s/s · ${state.bufferingStrategyName}`;
+      }
+      if (state.isBuffering || state.isSuspended) {
+        return 'Starting';
+      }
+      if (this.video && isBufferTargetReached(this.video)) {
+        return getBufferMode() === 'ahead' ? 'Buffered ahead' : 'Buffered';
+      }
+      return 'Idle';
+    },
     
-    if (state.isBuffering) {
-      stopBuffering();
+    renderStatus() {
+      this.chip.textContent = this.notice || this.describeStatus();
+      
+      const canResume = state.isPaused;
+      this.pauseButton.hidden = state.isStopped || !hasRunningSession();
+      this.pauseButton.dataset.command = canResume ? 'resume' : 'pause';
+      this.pauseButton.textContent = canResume ? '▶' : '⏸';
+      this.pauseButton.title = canResume ? 'Resume forcing' : 'Pause forcing';
+      this.skipButton.hidden = state.isStopped;
     }
-    
-    state.videoElement = null;
-    debugLog('Stopped buffer monitoring');
   };
   
-  /**
-   * Sets up a mutation observer to detect when video elements are added or removed
-   */
-  const setupVideoObserver = () => {
-    debugLog('Setting up video observer');
+  // Follows YouTube's single-page navigation and keeps the monitored video attached to the player
+  const navigationWatcher = {
+    currentPage: undefined,
+    onNavigate: null,
+    player: null,
+    playerObserver: null,
+    attachTimer: null,
+    attachAttempts: 0,
+    attachRetryDelay: 250,
+    maxAttachAttempts: 40,
     
-    // First, check if there's already a video element
-    const existingVideo = document.querySelector('video');
-    if (existingVideo) {
-      startBufferMonitoring(existingVideo);
-    }
+    /**
+     * Listens for YouTube's navigation event, History API navigations and back/forward
+     */
+    start() {
+      this.onNavigate = () => this.handleNavigation();
+      document.addEventListener('yt-navigate-finish', this.onNavigate);
+      window.addEventListener('popstate', this.onNavigate);
+      
+      // Content scripts cannot wrap the page's pushState, but the Navigation API reports those calls
+      if (window.navigation) {
+        window.navigation.addEventListener('navigatesuccess', this.onNavigate);
+      }
+      
+      this.handleNavigation();
+    },
     
-    // Set up mutation observer to detect when videos are added or changed
-    state.videoObserver = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        // Check for added nodes
-        if (mutation.addedNodes.length > 0) {
-          mutation.addedNodes.forEach((node) => {
-            // Direct video element
-            if (node.nodeName === 'VIDEO') {
-              startBufferMonitoring(node);
-            }
-            // Video element within added DOM tree
-            else if (node.querySelector) {
-              const video = node.querySelector('video');
-              if (video) {
-                startBufferMonitoring(video);
-              }
-            }
-          });
+    stop() {
+      if (this.onNavigate) {
+        document.removeEventListener('yt-navigate-finish', this.onNavigate);
+        window.removeEventListener('popstate', this.onNavigate);
+        if (window.navigation) {
+          window.navigation.removeEventListener('navigatesuccess', this.onNavigate);
         }
-        
-        // Check if our monitored video was removed
-        if (state.videoElement && mutation.removedNodes.length > 0) {
-          mutation.removedNodes.forEach((node) => {
-            if (node === state.videoElement || (node.contains && node.contains(state.videoElement))) {
-              stopBufferMonitoring();
-            }
-          });
+        this.onNavigate = null;
+      }
+      this.detachPlayer();
+      shortsPrefetcher.stop();
+      upNextPrefetcher.stop();
+    },
+    
+    /**
+     * Restarts monitoring when the page moves to a different video, or stops it off video pages
+     */
+    handleNavigation() {
+      const page = getVideoPageKey();
+      if (page === this.currentPage) {
+        return;
+      }
+      this.currentPage = page;
+      
+      // Every video starts with fresh seek attempts, give-up and stop state. YouTube reuses the
+      // <video> element, so the old video's playhead must not be restored onto the new one
+      this.detachPlayer();
+      if (state.isMonitoring) {
+        stopBufferMonitoring('stopped', false);
+      }
+      pageBridge.reset();
+      upNextPrefetcher.stop();
+      
+      if (!page) {
+        shortsPrefetcher.stop();
+        debugLog('Not a YouTube video or shorts page, waiting for navigation');
+        return;
+      }
+      
+      state.isShorts = checkIfShorts();
+      debugLog(`Detected navigation to ${state.isShorts ? 'Shorts' : 'regular video'} page`);
+      
+      // Shorts swiped past are cancelled before the new visible one is attached
+      shortsPrefetcher.update();
+      this.attachPlayer();
+    },
+    
+    /**
+     * Finds the player for the current page, retrying briefly while YouTube renders it
+     */
+    attachPlayer() {
+      this.attachTimer = null;
+      const player = document.querySelector(state.isShorts ? '#shorts-player' : '#movie_player') ||
+        document.querySelector('.html5-video-player');
+      const video = player && player.querySelector('video');
+      
+      if (!video) {
+        if (++this.attachAttempts < this.maxAttachAttempts) {
+          this.attachTimer = setTimeout(() => this.attachPlayer(), this.attachRetryDelay);
+        } else {
+          debugLog('No video player found on this page');
+        }
+        return;
+      }
+      
+      this.attachAttempts = 0;
+      this.player = player;
+      
+      // Only the element holding the <video> is observed, so the rest of the page costs nothing
+      const container = player.querySelector('.html5-video-container');
+      this.playerObserver = new MutationObserver((mutations) => {
+        this.syncVideo();
+        if (state.isMonitoring && mutations.some((mutation) => mutation.type === 'attributes')) {
+          updateAdState();
         }
       });
-    });
+      this.playerObserver.observe(container || player, { childList: true, subtree: !container });
+      
+      // Ad overlay classes on the player element mark pre-roll and mid-roll ads
+      this.playerObserver.observe(player, { attributes: true, attributeFilter: ['class'] });
+      
+      this.syncVideo();
+    },
     
-    // Start observing the document
-    state.videoObserver.observe(document.documentElement, {
-      childList: true,
-      subtree: true
-    });
+    detachPlayer() {
+      clearTimeout(this.attachTimer);
+      this.attachTimer = null;
+      this.attachAttempts = 0;
+      if (this.playerObserver) {
+        this.playerObserver.disconnect();
+        this.playerObserver = null;
+      }
+      this.player = null;
+    },
     
-    return state.videoObserver;
+    /**
+     * Moves monitoring to the player's current <video> when YouTube swaps or removes it
+     */
+    syncVideo() {
+      if (!this.player.isConnected) {
+        this.detachPlayer();
+        // An interrupted session did not finish, so it is reported as stopped rather than complete
+        if (state.isMonitoring) {
+          stopBufferMonitoring('stopped');
+        }
+        this.attachPlayer();
+        return;
+      }
+      
+      const video = this.player.querySelector('video');
+      if (video === state.videoElement) {
+        return;
+      }
+      
+      if (state.isMonitoring) {
+        stopBufferMonitoring('stopped');
+      }
+      startBufferMonitoring(video);
+    }
   };
   
   /**
-   * Handles page navigation/URL changes
+   * Stops everything this script started once the extension was reloaded, updated or removed;
+   * forcing ends with the playhead restored, so the orphaned tab is left as the user had it
    */
-  const handleURLChange = () => {
-    const currentIsShorts = checkIfShorts();
-    
-    // If shorts status has changed, update and restart
-    if (state.isShorts !== currentIsShorts) {
-      debugLog(`Detected navigation to ${currentIsShorts ? 'Shorts' : 'regular video'} page`);
-      state.isShorts = currentIsShorts;
-      
-      // Reset and restart monitoring
-      stopBufferMonitoring();
-      setupVideoObserver();
+  const shutDown = () => {
+    if (backgroundPort.isShutDown) {
+      return;
     }
     
-    // Always check if we should be running based on URL
-    if (!window.location.href.includes('youtube.com/watch') && 
-        !window.location.href.includes('youtube.com/shorts')) {
-      debugLog('Not a YouTube video or shorts page, stopping monitoring');
-      stopBufferMonitoring();
-    } else if (!state.bufferCheckInterval) {
-      debugLog('Entered a video page, starting monitoring');
-      setupVideoObserver();
+    backgroundPort.isShutDown = true;
+    debugLog('Extension context invalidated, shutting down');
+    backgroundPort.disconnect();
+    navigationWatcher.stop();
+    networkPolicy.stop();
+    powerPolicy.stop();
+    mediaBytes.stop();
+    if (state.isMonitoring) {
+      stopBufferMonitoring('stopped');
     }
+    pageBridge.stop();
   };
   
   /**
@@ -784,45 +3575,51 @@
   const initialize = () => {
     debugLog('Initializing YouTube Force Buffer');
     
-    // Only run on YouTube video or shorts pages
-    if (!window.location.href.includes('youtube.com/watch') && 
-        !window.location.href.includes('youtube.com/shorts')) {
-      debugLog('Not a YouTube video or shorts page, will monitor for navigation');
-      // We'll still set up URL change detection to initialize later
-    } else {
-      state.isShorts = checkIfShorts();
-      debugLog(`Detected ${state.isShorts ? 'YouTube Shorts' : 'regular YouTube video'} page`);
-      
-      // Set up video element observer
-      state.videoObserver = setupVideoObserver();
-    }
+    // Listen for player data from the page's world
+    pageBridge.start();
     
-    // Listen for URL changes (for Single Page Application navigation)
-    const handleURLChanges = () => {
-      let lastUrl = location.href;
-      new MutationObserver(() => {
-        if (location.href !== lastUrl) {
-          lastUrl = location.href;
-          handleURLChange();
-        }
-      }).observe(document, { subtree: true, childList: true });
-    };
+    // Measure video downloads and follow the data budget they count against
+    mediaBytes.start();
+    dataBudget.start();
+    
+    // Follow the connection, battery and tab visibility for the network and power rules
+    networkPolicy.start();
+    powerPolicy.start();
     
-    handleURLChanges();
+    // Attach to the player now and after every in-app navigation
+    navigationWatcher.start();
+    
+    // Pick up settings saved from the options page
+    watchSettingsChanges();
+    
+    // Commands relayed by the background script arrive over the port, or as one-off messages while no port is open
+    backgroundPort.connect();
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || message.type !== MESSAGE_TYPES.BUFFER_COMMAND) {
+        return;
+      }
+      
+      const error = validateMessage(message);
+      sendResponse(error ? { ok: false, error } : { ok: handleBufferCommand(message.command) });
+    });
     
     // Clean up when navigating away
     window.addEventListener('beforeunload', () => {
-      stopBufferMonitoring();
-      if (state.videoObserver) {
-        state.videoObserver.disconnect();
-      }
+      navigationWatcher.stop();
+      networkPolicy.stop();
+      powerPolicy.stop();
+      stopBufferMonitoring('stopped');
+      mediaBytes.flush();
+      backgroundPort.disconnect();
     });
   };
   
-  // Start the extension
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initialize);
-  } else {
-    initialize();
-  }
+  // Start the extension once stored settings are applied
+  loadStoredSettings(() => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+      initialize();
+    }
+  });
 })();
@@ -0,0 +1,160 @@
+/**
+ * YouTube Force Buffer - Page Bridge
+ * Runs in the page's main world, where the YouTube player API is visible, and reports
+ * player data to content.js over window.postMessage
+ */
+
+(function() {
+  'use strict';
+
+  // Message sources, so each side only reads the other's messages
+  const BRIDGE_SOURCE = 'yt-force-buffer-page';
+  const CONTENT_SOURCE = 'yt-force-buffer-content';
+
+  // Player API events after which the reported state may have changed
+  const PLAYER_EVENTS = ['onPlaybackQualityChange', 'onStateChange', 'onVideoDataChange'];
+
+  let boundPlayer = null;
+  let classObserver = null;
+  let lastPublished = null;
+
+  /**
+   * Calls a player API method, tolerating players that lack it or throw
+   * @param {HTMLElement} player - The player element
+   * @param {string} method - API method name
+   * @param {...*} args - Arguments passed to the method
+   * @returns {*} - The method's result or null
+   */
+  const callPlayer = (player, method, ...args) => {
+    try {
+      return typeof player[method] === 'function' ? player[method](...args) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  /**
+   * Finds the player for the current page
+   * @returns {HTMLElement|null} - The watch or Shorts player element
+   */
+  const findPlayer = () => {
+    const id = window.location.pathname.startsWith('/shorts') ? 'shorts-player' : 'movie_player';
+    return document.getElementById(id) || document.querySelector('.html5-video-player');
+  };
+
+  /**
+   * Reads everything content.js needs from the player API
+   * @param {HTMLElement} player - The player element
+   * @returns {Object} - Serializable player state
+   */
+  const readPlayerState = (player) => {
+    const videoData = callPlayer(player, 'getVideoData') || {};
+    const playerResponse = callPlayer(player, 'getPlayerResponse') || {};
+    const videoDetails = playerResponse.videoDetails || {};
+    return {
+      quality: callPlayer(player, 'getPlaybackQuality'),
+      availableQualities: callPlayer(player, 'getAvailableQualityLevels') || [],
+      videoId: videoData.video_id || null,
+      title: videoData.title || null,
+      channel: videoData.author || null,
+      isLive: Boolean(videoData.isLive || videoDetails.isLive),
+      isUpcoming: Boolean(videoDetails.isUpcoming),
+      isDvr: Boolean(videoDetails.isLiveDvrEnabled),
+      isAd: player.classList.contains('ad-showing') || player.classList.contains('ad-interrupting')
+    };
+  };
+
+  /**
+   * Posts the player state to content.js
+   * @param {boolean} force - Post even when nothing changed since the last message
+   */
+  const publish = (force = false) => {
+    const player = bindPlayer();
+    if (!player) {
+      return;
+    }
+
+    const playerState = readPlayerState(player);
+    const serialized = JSON.stringify(playerState);
+    if (!force && serialized === lastPublished) {
+      return;
+    }
+    lastPublished = serialized;
+
+    window.postMessage({ source: BRIDGE_SOURCE, type: 'PLAYER_STATE', state: playerState }, window.location.origin);
+  };
+
+  const onPlayerChange = () => publish();
+
+  /**
+   * Subscribes to the current player, moving listeners over when YouTube replaces it
+   * @returns {HTMLElement|null} - The bound player
+   */
+  const bindPlayer = () => {
+    const player = findPlayer();
+    if (player === boundPlayer) {
+      return player;
+    }
+
+    if (boundPlayer) {
+      PLAYER_EVENTS.forEach((event) => {
+        if (typeof boundPlayer.removeEventListener === 'function') {
+          boundPlayer.removeEventListener(event, onPlayerChange);
+        }
+      });
+      classObserver.disconnect();
+      classObserver = null;
+    }
+
+    boundPlayer = player;
+    if (!player) {
+      return null;
+    }
+
+    PLAYER_EVENTS.forEach((event) => player.addEventListener(event, onPlayerChange));
+
+    // Ads are signalled by classes on the player element
+    classObserver = new MutationObserver(onPlayerChange);
+    classObserver.observe(player, { attributes: true, attributeFilter: ['class'] });
+
+    return player;
+  };
+
+  /**
+   * Locks the player to one quality level, or lets YouTube pick again when level is null
+   * @param {string|null} level - Player quality level such as 'hd1080'
+   */
+  const setQuality = (level) => {
+    const player = bindPlayer();
+    if (!player) {
+      return;
+    }
+
+    if (level) {
+      callPlayer(player, 'setPlaybackQualityRange', level, level);
+      callPlayer(player, 'setPlaybackQuality', level);
+    } else {
+      callPlayer(player, 'setPlaybackQualityRange', 'auto', 'auto');
+    }
+    publish(true);
+  };
+
+  // Answer requests from content.js
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (event.source !== window || !message || message.source !== CONTENT_SOURCE) {
+      return;
+    }
+
+    if (message.type === 'GET_PLAYER_STATE') {
+      publish(true);
+    } else if (message.type === 'SET_QUALITY') {
+      setQuality(message.level);
+    }
+  });
+
+  // A navigation can bring a new video or a different player
+  document.addEventListener('yt-navigate-finish', onPlayerChange);
+
+  publish();
+})();
@@ -0,0 +1,113 @@
+/**
+ * YouTube Force Buffer - Messaging Protocol
+ * Message schema shared by the background script and the content scripts, which both load this
+ * file ahead of their own code. src/lib/protocol.ts mirrors it for the extension pages.
+ */
+
+(function(scope) {
+  'use strict';
+
+  // Raised whenever a message changes shape; messages of any other version are rejected
+  const PROTOCOL_VERSION = 1;
+
+  // Name of the port each YouTube tab's content script keeps open to the background script
+  const PORT_NAME = 'yt-force-buffer-tab';
+
+  // How often a content script with a running session checks that the background script still answers (ms)
+  const HEARTBEAT_INTERVAL = 20000;
+
+  const MESSAGE_TYPES = {
+    BUFFER_STATUS: 'BUFFER_STATUS',             // Content script to background, over the port: session events
+    DATA_USAGE: 'DATA_USAGE',                   // Content script to background, over the port: measured media bytes
+    HEARTBEAT: 'HEARTBEAT',                     // Both ways over the port; the background echoes each one
+    BUFFER_COMMAND: 'BUFFER_COMMAND',           // Popup to background, and background to content script
+    COMMAND_RESULT: 'COMMAND_RESULT',           // Content script to background, over the port: answer to a BUFFER_COMMAND
+    GET_BUFFER_SESSIONS: 'GET_BUFFER_SESSIONS'  // Popup to background
+  };
+
+  // Commands the popup may send to a tab
+  const POPUP_COMMANDS = ['pause', 'resume', 'restart', 'stop'];
+
+  // Commands a content script accepts, including those of the background scheduler and the keyboard shortcuts
+  const BUFFER_COMMANDS = [...POPUP_COMMANDS, 'hold', 'release', 'toggle', 'cycleMode'];
+
+  /**
+   * @typedef {Object} BufferStatusMessage
+   * @property {'BUFFER_STATUS'} type
+   * @property {number} version
+   * @property {{status: string}} data - Status payload; see sendBufferStatus in content.js
+   * @property {{url: string, title: string}} page - The page as it is when the status is sent, since the port's
+   *   sender tab stays as it was when the port connected
+   */
+
+  /**
+   * @typedef {Object} BufferCommandMessage
+   * @property {'BUFFER_COMMAND'} type
+   * @property {number} version
+   * @property {string} command - One of BUFFER_COMMANDS
+   * @property {number} [tabId] - Target tab, set by the popup
+   * @property {number} [requestId] - Set when sent over a port, echoed by the COMMAND_RESULT
+   */
+
+  /**
+   * @typedef {Object} CommandResultMessage
+   * @property {'COMMAND_RESULT'} type
+   * @property {number} version
+   * @property {number} requestId - Id of the BUFFER_COMMAND being answered
+   * @property {boolean} ok - Whether the command was applied
+   */
+
+  const isObject = (value) => typeof value === 'object' && value !== null;
+
+  // Field checks for each message type, beyond the type and version every message carries
+  const MESSAGE_SCHEMAS = {
+    BUFFER_STATUS: (message) => isObject(message.data) && typeof message.data.status === 'string' &&
+      isObject(message.page) && typeof message.page.url === 'string' && typeof message.page.title === 'string',
+    DATA_USAGE: (message) => Number.isFinite(message.bytes) && message.bytes >= 0,
+    HEARTBEAT: () => true,
+    BUFFER_COMMAND: (message) => BUFFER_COMMANDS.includes(message.command) &&
+      (message.tabId === undefined || Number.isInteger(message.tabId)) &&
+      (message.requestId === undefined || Number.isInteger(message.requestId)),
+    COMMAND_RESULT: (message) => Number.isInteger(message.requestId) && typeof message.ok === 'boolean',
+    GET_BUFFER_SESSIONS: () => true
+  };
+
+  /**
+   * Builds a message of the current protocol version
+   * @param {string} type - One of MESSAGE_TYPES
+   * @param {Object} [fields={}] - The type's fields
+   * @returns {Object} - The message
+   */
+  const createMessage = (type, fields = {}) => ({ ...fields, type, version: PROTOCOL_VERSION });
+
+  /**
+   * Checks a received message against the schema
+   * @param {*} message - The received message
+   * @returns {string|null} - Why the message was rejected, or null if it is valid
+   */
+  const validateMessage = (message) => {
+    if (!isObject(message)) {
+      return 'not a message object';
+    }
+    if (message.version !== PROTOCOL_VERSION) {
+      return `protocol version ${message.version}, expected ${PROTOCOL_VERSION}`;
+    }
+    
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+      return `unknown message type ${message.type}`;
+    }
+    return schema(message) ? null : `malformed ${message.type} message`;
+  };
+
+  scope.YTForceBufferProtocol = Object.freeze({
+    PROTOCOL_VERSION,
+    PORT_NAME,
+    HEARTBEAT_INTERVAL,
+    MESSAGE_TYPES,
+    POPUP_COMMANDS,
+    BUFFER_COMMANDS,
+    createMessage,
+    validateMessage
+  });
+})(globalThis);
@@ -0,0 +1,147 @@
+// Storage key of the finished sessions, which background.js appends to in chrome.storage.local
+export const SESSION_HISTORY_STORAGE_KEY = "sessionHistory";
+
+// One finished session, as recorded by background.js
+export type SessionRecord = {
+  endedAt: number;
+  videoId: string | null;
+  title: string;
+  channel: string | null;
+  videoType: "Shorts" | "Video" | "Live";
+  quality: string | null;
+  duration: number | null;
+  bufferTime: number | null;
+  elapsed: number;
+  seeks: number;
+  strategy: string | null;
+  qualityChanges: number;
+  mode: "full" | "ahead" | null;
+  capped: boolean;
+  bytes: number | null;
+  outcome: "complete" | "gave_up" | "stopped" | "closed";
+};
+
+export type QualityStats = {
+  quality: string;
+  sessions: number;
+  successRate: number;
+  medianBufferTime: number | null;
+};
+
+export type HistoryStats = {
+  sessions: number;
+  completed: number;
+  gaveUp: number;
+  successRate: number;
+  medianBufferTime: number | null;
+  byQuality: QualityStats[];
+};
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS: (keyof SessionRecord)[] = [
+  "endedAt",
+  "videoId",
+  "title",
+  "channel",
+  "videoType",
+  "quality",
+  "duration",
+  "bufferTime",
+  "elapsed",
+  "seeks",
+  "strategy",
+  "qualityChanges",
+  "mode",
+  "capped",
+  "bytes",
+  "outcome",
+];
+
+/**
+ * Loads the recorded sessions, newest first
+ */
+export const loadHistory = async (): Promise<SessionRecord[]> => {
+  const stored = await chrome.storage.local.get(SESSION_HISTORY_STORAGE_KEY);
+  const history = (stored[SESSION_HISTORY_STORAGE_KEY] ?? []) as SessionRecord[];
+  return [...history].reverse();
+};
+
+export const clearHistory = async (): Promise<void> => {
+  await chrome.storage.local.remove(SESSION_HISTORY_STORAGE_KEY);
+};
+
+const median = (values: number[]): number | null => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Summarizes sessions; the success rate only counts sessions that ran to an end on their own
+ */
+export const computeHistoryStats = (records: SessionRecord[]): HistoryStats => {
+  const finished = records.filter((record) => record.outcome === "complete" || record.outcome === "gave_up");
+  const completed = finished.filter((record) => record.outcome === "complete");
+  const bufferTimes = (list: SessionRecord[]) =>
+    list.map((record) => record.bufferTime).filter((time): time is number => time !== null);
+
+  const qualities = Array.from(new Set(finished.map((record) => record.quality ?? "Unknown")));
+  const byQuality = qualities
+    .map((quality) => {
+      const sessions = finished.filter((record) => (record.quality ?? "Unknown") === quality);
+      const successes = sessions.filter((record) => record.outcome === "complete");
+      return {
+        quality,
+        sessions: sessions.length,
+        successRate: successes.length / sessions.length,
+        medianBufferTime: median(bufferTimes(successes)),
+      };
+    })
+    .sort((a, b) => b.sessions - a.sessions);
+
+  return {
+    sessions: records.length,
+    completed: completed.length,
+    gaveUp: finished.length - completed.length,
+    successRate: finished.length > 0 ? completed.length / finished.length : 0,
+    medianBufferTime: median(bufferTimes(completed)),
+    byQuality,
+  };
+};
+
+// Text cells starting like a formula, which spreadsheets would evaluate; titles and channels come from YouTube
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvValue = (value: unknown): string => {
+  if (value === null || value === undefined) return "";
+
+  const text = typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const historyToCsv = (records: SessionRecord[]): string => {
+  const rows = records.map((record) =>
+    CSV_COLUMNS.map((column) =>
+      toCsvValue(column === "endedAt" ? new Date(record.endedAt).toISOString() : record[column]),
+    ).join(","),
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+};
+
+export const historyToJson = (records: SessionRecord[]): string => {
+  return JSON.stringify(records, null, 2);
+};
+
+/**
+ * Saves text as a file through a temporary download link
+ */
+export const downloadFile = (content: string, fileName: string, mimeType: string) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,22 @@
+// Mirrors protocol.js, the message schema background.js shares with the content scripts
+export const PROTOCOL_VERSION = 1;
+
+// Commands the popup may send to a tab's content script
+export type BufferCommand = "pause" | "resume" | "restart" | "stop";
+
+// Requests the extension pages send to the background script
+export type BackgroundRequest =
+  | { type: "GET_BUFFER_SESSIONS" }
+  | { type: "BUFFER_COMMAND"; tabId: number; command: BufferCommand };
+
+// Every answer to a request that fails, including requests rejected for their version or shape
+export type ErrorResponse = { ok: false; error: string };
+
+export type CommandResponse = { ok: true } | ErrorResponse;
+
+/**
+ * Sends a request of the current protocol version to the background script
+ */
+export const sendRequest = async <T>(request: BackgroundRequest): Promise<T | ErrorResponse | undefined> => {
+  return chrome.runtime.sendMessage({ ...request, version: PROTOCOL_VERSION });
+};
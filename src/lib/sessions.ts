@@ -0,0 +1,52 @@
+import { BufferCommand, CommandResponse, sendRequest } from "./protocol";
+
+export type { BufferCommand };
+
+// Rules that can hold back or slow down forcing, as last reported by the tab's content script
+export type BufferRules = {
+  network: "full" | "ahead" | "off";
+  budgetReached: boolean;
+  batteryLow: boolean;
+  battery: { level: number; charging: boolean } | null;
+  hidden: boolean;
+};
+
+// Shape of the session snapshots background.js returns for GET_BUFFER_SESSIONS
+export type BufferSession = {
+  tabId: number;
+  title: string;
+  channel: string | null;
+  videoType: "Shorts" | "Video" | "Live";
+  quality: string | null;
+  progress: number;
+  speed: number | string;
+  seeks: number;
+  status: "buffering" | "paused" | "waiting" | "ad" | "queued";
+  rules: BufferRules | null;
+  elapsed: number;
+};
+
+/**
+ * Fetches every tab's live buffer session from the background script
+ */
+export const fetchBufferSessions = async (): Promise<BufferSession[]> => {
+  const response = await sendRequest<{ sessions: BufferSession[] }>({ type: "GET_BUFFER_SESSIONS" });
+  return response && "sessions" in response ? response.sessions : [];
+};
+
+/**
+ * Asks the background script to relay a command to a tab's content script
+ */
+export const sendBufferCommand = async (tabId: number, command: BufferCommand): Promise<boolean> => {
+  const response = await sendRequest<CommandResponse>({ type: "BUFFER_COMMAND", tabId, command });
+  return Boolean(response?.ok);
+};
+
+// Matches formatElapsedTime in background.js
+export const formatElapsedTime = (seconds: number): string => {
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  const remainingSecs = (seconds % 60).toFixed(0);
+  return `${minutes}m ${remainingSecs}s`;
+};
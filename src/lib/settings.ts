@@ -0,0 +1,197 @@
+import { z } from "zod";
+
+// Storage key shared with content.js, which reads the same object from chrome.storage.sync
+export const SETTINGS_STORAGE_KEY = "settings";
+
+export const BUFFER_MODES = ["full", "ahead"] as const;
+export type BufferMode = (typeof BUFFER_MODES)[number];
+
+export const BUFFER_AHEAD_UNITS = ["minutes", "percent"] as const;
+export type BufferAheadUnit = (typeof BUFFER_AHEAD_UNITS)[number];
+
+export const GAP_FILL_ORDERS = ["nearest", "largest"] as const;
+export type GapFillOrder = (typeof GAP_FILL_ORDERS)[number];
+
+// "current", "max" and "auto" are special; the rest are YouTube player quality levels
+export const BUFFER_QUALITIES = [
+  "current",
+  "max",
+  "auto",
+  "hd2160",
+  "hd1440",
+  "hd1080",
+  "hd720",
+  "large",
+  "medium",
+] as const;
+export type BufferQuality = (typeof BUFFER_QUALITIES)[number];
+
+export const LIVE_BUFFERING_MODES = ["idle", "behindEdge"] as const;
+export type LiveBufferingMode = (typeof LIVE_BUFFERING_MODES)[number];
+
+export const DATA_BUDGET_PERIODS = ["off", "daily", "monthly"] as const;
+export type DataBudgetPeriod = (typeof DATA_BUDGET_PERIODS)[number];
+
+export const DATA_BUDGET_ACTIONS = ["stop", "ahead"] as const;
+export type DataBudgetAction = (typeof DATA_BUDGET_ACTIONS)[number];
+
+export const EVICTION_HANDLING_MODES = ["rebuffer", "cap"] as const;
+export type EvictionHandling = (typeof EVICTION_HANDLING_MODES)[number];
+
+// Buffering strategies content.js can run, chosen per video type
+export const BUFFER_STRATEGIES = ["adaptive", "exponential", "throughput"] as const;
+export type BufferStrategy = (typeof BUFFER_STRATEGIES)[number];
+
+// How forcing behaves on a connection matching a network rule
+export const NETWORK_POLICIES = ["full", "ahead", "off"] as const;
+export type NetworkPolicy = (typeof NETWORK_POLICIES)[number];
+
+// Mirrors the defaults of the `config` object in content.js
+export const DEFAULT_SETTINGS = {
+  checkInterval: 1000,
+  adaptiveSeekMinimum: 5,
+  adaptiveSeekMaximum: 60,
+  shortsSeekStepSize: 5,
+  shortsPrefetchCount: 2,
+  upNextPrefetch: false,
+  upNextPrefetchMinutes: 2,
+  upNextPrefetchMegabytes: 50,
+  dataBudgetPeriod: "off" as DataBudgetPeriod,
+  dataBudgetMegabytes: 1000,
+  dataBudgetAction: "stop" as DataBudgetAction,
+  saveDataPolicy: "full" as NetworkPolicy,
+  cellularPolicy: "full" as NetworkPolicy,
+  slowNetworkPolicy: "full" as NetworkPolicy,
+  batteryPausePercent: 20,
+  hiddenCheckInterval: 5000,
+  strategyRegular: "adaptive" as BufferStrategy,
+  strategyShorts: "adaptive" as BufferStrategy,
+  strategyLongForm: "adaptive" as BufferStrategy,
+  longFormMinutes: 20,
+  throughputTarget: 5,
+  maxSeekAttempts: 500,
+  maxConcurrentTabs: 2,
+  debugMode: true,
+  retryDelayIncrement: 50,
+  qualityChangeThreshold: 500,
+  bufferMode: "full" as BufferMode,
+  bufferAheadValue: 5,
+  bufferAheadUnit: "minutes" as BufferAheadUnit,
+  gapFillOrder: "nearest" as GapFillOrder,
+  watchWhileBuffering: false,
+  bufferQuality: "current" as BufferQuality,
+  liveBuffering: "idle" as LiveBufferingMode,
+  evictionHandling: "rebuffer" as EvictionHandling,
+  showOverlay: true,
+};
+
+// Checks of each setting on its own; settingsSchema adds those between settings
+const settingsFields = z.object({
+  checkInterval: z.coerce.number().int().min(250).max(10000),
+  adaptiveSeekMinimum: z.coerce.number().min(1).max(300),
+  adaptiveSeekMaximum: z.coerce.number().min(1).max(600),
+  shortsSeekStepSize: z.coerce.number().min(1).max(60),
+  shortsPrefetchCount: z.coerce.number().int().min(0).max(5),
+  upNextPrefetch: z.boolean(),
+  upNextPrefetchMinutes: z.coerce.number().min(0.5).max(30),
+  upNextPrefetchMegabytes: z.coerce.number().int().min(5).max(1000),
+  dataBudgetPeriod: z.enum(DATA_BUDGET_PERIODS),
+  dataBudgetMegabytes: z.coerce.number().int().min(50).max(1000000),
+  dataBudgetAction: z.enum(DATA_BUDGET_ACTIONS),
+  saveDataPolicy: z.enum(NETWORK_POLICIES),
+  cellularPolicy: z.enum(NETWORK_POLICIES),
+  slowNetworkPolicy: z.enum(NETWORK_POLICIES),
+  batteryPausePercent: z.coerce.number().int().min(0).max(100),
+  hiddenCheckInterval: z.coerce.number().int().min(1000).max(60000),
+  strategyRegular: z.enum(BUFFER_STRATEGIES),
+  strategyShorts: z.enum(BUFFER_STRATEGIES),
+  strategyLongForm: z.enum(BUFFER_STRATEGIES),
+  longFormMinutes: z.coerce.number().int().min(5).max(600),
+  throughputTarget: z.coerce.number().min(0.5).max(100),
+  maxSeekAttempts: z.coerce.number().int().min(1).max(5000),
+  maxConcurrentTabs: z.coerce.number().int().min(1).max(10),
+  debugMode: z.boolean(),
+  retryDelayIncrement: z.coerce.number().int().min(0).max(1000),
+  qualityChangeThreshold: z.coerce.number().int().min(0).max(10000),
+  bufferMode: z.enum(BUFFER_MODES),
+  bufferAheadValue: z.coerce.number().min(1).max(600),
+  bufferAheadUnit: z.enum(BUFFER_AHEAD_UNITS),
+  gapFillOrder: z.enum(GAP_FILL_ORDERS),
+  watchWhileBuffering: z.boolean(),
+  bufferQuality: z.enum(BUFFER_QUALITIES),
+  liveBuffering: z.enum(LIVE_BUFFERING_MODES),
+  evictionHandling: z.enum(EVICTION_HANDLING_MODES),
+  showOverlay: z.boolean(),
+});
+
+export const settingsSchema = settingsFields
+  .refine((settings) => settings.adaptiveSeekMinimum <= settings.adaptiveSeekMaximum, {
+    message: "Maximum seek step must be at least the minimum seek step",
+    path: ["adaptiveSeekMaximum"],
+  })
+  .refine((settings) => settings.bufferAheadUnit !== "percent" || settings.bufferAheadValue <= 100, {
+    message: "A percentage window cannot exceed 100%",
+    path: ["bufferAheadValue"],
+  });
+
+export type Settings = z.infer<typeof settingsSchema>;
+
+/**
+ * Loads the stored settings, falling back to defaults for missing or invalid values; each setting is checked on its
+ * own, so one bad value does not reset the others
+ */
+export const loadSettings = async (): Promise<Settings> => {
+  const stored = (await chrome.storage.sync.get(SETTINGS_STORAGE_KEY))[SETTINGS_STORAGE_KEY] ?? {};
+  const fields = Object.fromEntries(
+    Object.entries(settingsFields.shape).map(([key, field]) => {
+      const result = field.safeParse(stored[key]);
+      return [key, result.success ? result.data : DEFAULT_SETTINGS[key as keyof Settings]];
+    }),
+  );
+  const result = settingsSchema.safeParse(fields);
+  if (result.success) return result.data;
+
+  // Values that are only invalid together, like a maximum below the minimum, are taken one at a time while the
+  // settings stay valid, and left at their defaults otherwise
+  return Object.keys(fields).reduce<Settings>(
+    (settings, key) => {
+      const candidate = settingsSchema.safeParse({ ...settings, [key]: fields[key] });
+      return candidate.success ? candidate.data : settings;
+    },
+    { ...DEFAULT_SETTINGS },
+  );
+};
+
+/**
+ * Persists settings; running content scripts pick them up through chrome.storage.onChanged
+ */
+export const saveSettings = async (settings: Settings): Promise<void> => {
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: settingsSchema.parse(settings) });
+};
+
+// Storage key of the measured video data totals, which background.js keeps in chrome.storage.local
+export const DATA_USAGE_STORAGE_KEY = "dataUsage";
+
+export interface DataUsage {
+  day: string;
+  month: string;
+  dayBytes: number;
+  monthBytes: number;
+}
+
+/**
+ * Gets the megabytes of video data used so far in a budget period, in local time
+ */
+export const loadUsedMegabytes = async (period: Exclude<DataBudgetPeriod, "off">): Promise<number> => {
+  const stored = await chrome.storage.local.get(DATA_USAGE_STORAGE_KEY);
+  const usage = stored[DATA_USAGE_STORAGE_KEY] as DataUsage | undefined;
+  const now = new Date();
+  const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+  const day = `${month}-${String(now.getDate()).padStart(2, "0")}`;
+
+  if (!usage) {
+    return 0;
+  }
+  const bytes = period === "monthly" ? (usage.month === month ? usage.monthBytes : 0) : usage.day === day ? usage.dayBytes : 0;
+  return bytes / 1048576;
+};
@@ -0,0 +1,27 @@
+// A keyboard shortcut from the manifest's commands, with the keys the user has bound to it
+export type Shortcut = {
+  name: string;
+  description: string;
+  keys: string | null;
+};
+
+/**
+ * Lists the extension's keyboard shortcuts; commands without keys are left unbound by the user or by a clash
+ */
+export const loadShortcuts = async (): Promise<Shortcut[]> => {
+  const commands = await chrome.commands.getAll();
+  return commands
+    .filter((command) => command.name && command.name !== "_execute_action")
+    .map((command) => ({
+      name: command.name ?? "",
+      description: command.description ?? "",
+      keys: command.shortcut || null,
+    }));
+};
+
+/**
+ * Opens Chrome's page for remapping extension shortcuts, which extensions cannot change themselves
+ */
+export const openShortcutSettings = async () => {
+  await chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+};
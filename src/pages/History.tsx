@@ -0,0 +1,175 @@
+import { useEffect, useMemo, useState } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import {
+  SessionRecord,
+  clearHistory,
+  computeHistoryStats,
+  downloadFile,
+  historyToCsv,
+  historyToJson,
+  loadHistory,
+} from "@/lib/history";
+import { formatElapsedTime } from "@/lib/sessions";
+
+// Sessions listed in the table; exports always include all of them
+const VISIBLE_SESSIONS = 100;
+
+const outcomeLabels: Record<SessionRecord["outcome"], string> = {
+  complete: "Buffered",
+  gave_up: "Gave up",
+  stopped: "Stopped",
+  closed: "Tab closed",
+};
+
+const formatPercent = (value: number) => `${Math.round(value * 100)}%`;
+
+const formatTime = (seconds: number | null) => (seconds === null ? "–" : formatElapsedTime(seconds));
+
+const Stat = ({ label, value }: { label: string; value: string }) => (
+  <div className="rounded-lg border p-3">
+    <p className="text-xs text-muted-foreground">{label}</p>
+    <p className="text-lg font-semibold">{value}</p>
+  </div>
+);
+
+const History = () => {
+  const [records, setRecords] = useState<SessionRecord[]>([]);
+  const stats = useMemo(() => computeHistoryStats(records), [records]);
+
+  useEffect(() => {
+    loadHistory()
+      .then(setRecords)
+      .catch((error) => console.error("Failed to load session history:", error));
+  }, []);
+
+  const onExport = (format: "csv" | "json") => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === "csv") {
+      downloadFile(historyToCsv(records), `yt-force-buffer-history-${date}.csv`, "text/csv");
+    } else {
+      downloadFile(historyToJson(records), `yt-force-buffer-history-${date}.json`, "application/json");
+    }
+  };
+
+  const onClear = async () => {
+    try {
+      await clearHistory();
+      setRecords([]);
+      toast.success("Session history cleared.");
+    } catch (error) {
+      toast.error(`Could not clear the history: ${error}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 py-10">
+      <div className="mx-auto max-w-4xl space-y-6">
+        <Card>
+          <CardHeader className="flex flex-row items-start justify-between space-y-0">
+            <div className="space-y-1.5">
+              <CardTitle>Session history</CardTitle>
+              <CardDescription>
+                Every buffering session that ended, kept on this device. The success rate counts sessions that either
+                finished or gave up after the maximum seek attempts.
+              </CardDescription>
+            </div>
+            <Button variant="ghost" size="sm" asChild>
+              <a href="#/">Settings</a>
+            </Button>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid grid-cols-4 gap-4">
+              <Stat label="Sessions" value={String(stats.sessions)} />
+              <Stat label="Fully buffered" value={String(stats.completed)} />
+              <Stat label="Success rate" value={formatPercent(stats.successRate)} />
+              <Stat label="Median time to buffer" value={formatTime(stats.medianBufferTime)} />
+            </div>
+            {stats.byQuality.length > 0 && (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Quality</TableHead>
+                    <TableHead>Sessions</TableHead>
+                    <TableHead>Success rate</TableHead>
+                    <TableHead>Median time to buffer</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {stats.byQuality.map((row) => (
+                    <TableRow key={row.quality}>
+                      <TableCell>{row.quality}</TableCell>
+                      <TableCell>{row.sessions}</TableCell>
+                      <TableCell>{formatPercent(row.successRate)}</TableCell>
+                      <TableCell>{formatTime(row.medianBufferTime)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => onExport("csv")} disabled={records.length === 0}>
+                Export CSV
+              </Button>
+              <Button variant="outline" onClick={() => onExport("json")} disabled={records.length === 0}>
+                Export JSON
+              </Button>
+              <Button variant="destructive" onClick={onClear} disabled={records.length === 0}>
+                Clear history
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader>
+            <CardTitle>Recent sessions</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {records.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No sessions recorded yet.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Video</TableHead>
+                    <TableHead>Type</TableHead>
+                    <TableHead>Quality</TableHead>
+                    <TableHead>Result</TableHead>
+                    <TableHead>Time</TableHead>
+                    <TableHead>Seeks</TableHead>
+                    <TableHead>Strategy</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {records.slice(0, VISIBLE_SESSIONS).map((record) => (
+                    <TableRow key={`${record.endedAt}-${record.videoId}`}>
+                      <TableCell className="max-w-64">
+                        <p className="truncate" title={record.title}>
+                          {record.title}
+                        </p>
+                        <p className="text-xs text-muted-foreground">{new Date(record.endedAt).toLocaleString()}</p>
+                      </TableCell>
+                      <TableCell>{record.videoType}</TableCell>
+                      <TableCell>
+                        {record.quality ?? "–"}
+                        {record.qualityChanges > 0 ? ` (${record.qualityChanges} changes)` : ""}
+                      </TableCell>
+                      <TableCell>{outcomeLabels[record.outcome]}</TableCell>
+                      <TableCell>{formatTime(record.elapsed)}</TableCell>
+                      <TableCell>{record.seeks}</TableCell>
+                      <TableCell>{record.strategy ?? "–"}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default History;
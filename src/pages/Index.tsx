@@ -1,12 +1,546 @@
-// Update this page (the content is just a fallback if you fail to update the page)
+import { useEffect, useState } from "react";
+import { Control, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import {
+  DEFAULT_SETTINGS,
+  Settings,
+  loadSettings,
+  loadUsedMegabytes,
+  saveSettings,
+  settingsSchema,
+} from "@/lib/settings";
+import { Shortcut, loadShortcuts, openShortcutSettings } from "@/lib/shortcuts";
+
+type NumberSettingKey = {
+  [K in keyof Settings]: Settings[K] extends number ? K : never;
+}[keyof Settings];
+
+type ChoiceSettingKey = {
+  [K in keyof Settings]: Settings[K] extends string ? K : never;
+}[keyof Settings];
+
+type ToggleSettingKey = {
+  [K in keyof Settings]: Settings[K] extends boolean ? K : never;
+}[keyof Settings];
+
+// Numeric settings rendered as plain inputs, in display order
+const numberFields: { name: NumberSettingKey; label: string; description: string; unit: string }[] = [
+  {
+    name: "checkInterval",
+    label: "Check interval",
+    description: "Minimum time between forcing cycles and buffer checks.",
+    unit: "ms",
+  },
+  {
+    name: "adaptiveSeekMinimum",
+    label: "Minimum seek step",
+    description: "Smallest jump ahead used to trigger buffering.",
+    unit: "s",
+  },
+  {
+    name: "adaptiveSeekMaximum",
+    label: "Maximum seek step",
+    description: "Largest jump ahead used to trigger buffering.",
+    unit: "s",
+  },
+  {
+    name: "shortsSeekStepSize",
+    label: "Shorts seek step",
+    description: "Fixed seek step used on Shorts.",
+    unit: "s",
+  },
+  {
+    name: "shortsPrefetchCount",
+    label: "Upcoming Shorts to pre-buffer",
+    description: "Shorts after the one you're watching that are buffered in advance. Set to 0 to turn this off.",
+    unit: "Shorts",
+  },
+  {
+    name: "longFormMinutes",
+    label: "Long video length",
+    description: "Videos at least this long use the strategy for long videos.",
+    unit: "min",
+  },
+  {
+    name: "throughputTarget",
+    label: "Target buffering speed",
+    description: "Seconds of video per second the target-speed strategy aims for; it waits between seeks when buffering runs faster.",
+    unit: "s/s",
+  },
+  {
+    name: "maxSeekAttempts",
+    label: "Maximum seek attempts",
+    description: "Forcing gives up after this many seeks.",
+    unit: "seeks",
+  },
+  {
+    name: "maxConcurrentTabs",
+    label: "Tabs buffering at once",
+    description: "Other tabs wait in a queue. The tab you're looking at always goes first.",
+    unit: "tabs",
+  },
+  {
+    name: "hiddenCheckInterval",
+    label: "Check interval in hidden tabs",
+    description: "Tabs in the background check their buffer less often to save CPU and battery.",
+    unit: "ms",
+  },
+  {
+    name: "batteryPausePercent",
+    label: "Pause on battery below",
+    description: "Forcing pauses while the device is unplugged and below this level, and resumes once charging. Set to 0 to turn this off.",
+    unit: "%",
+  },
+  {
+    name: "retryDelayIncrement",
+    label: "Retry delay increment",
+    description: "Extra wait added after each failed seek.",
+    unit: "ms",
+  },
+  {
+    name: "qualityChangeThreshold",
+    label: "Quality change delay",
+    description: "Wait after a quality switch before buffering resumes.",
+    unit: "ms",
+  },
+];
+
+// Choices shared by the network rule dropdowns
+const networkPolicyOptions = [
+  { value: "full", label: "Buffer normally" },
+  { value: "ahead", label: "Only buffer ahead" },
+  { value: "off", label: "Don't buffer" },
+];
+
+// Network rules, each applied while the connection matches it; the most restrictive match wins
+const networkPolicyFields: { name: ChoiceSettingKey; label: string; description: string }[] = [
+  {
+    name: "saveDataPolicy",
+    label: "With Data Saver on",
+    description: "Applies while the browser or operating system asks sites to save data.",
+  },
+  {
+    name: "cellularPolicy",
+    label: "On cellular",
+    description: "Only detected where the browser reports the connection type, such as Android and ChromeOS.",
+  },
+  {
+    name: "slowNetworkPolicy",
+    label: "On slow connections",
+    description: "3G-class connections or slower, or an estimated bandwidth under 1.5 Mbps.",
+  },
+];
+
+// Choices shared by the strategy dropdowns
+const strategyOptions = [
+  { value: "adaptive", label: "Adaptive" },
+  { value: "exponential", label: "Exponential back-off" },
+  { value: "throughput", label: "Hold a target speed" },
+];
+
+// Strategy per video type
+const strategyFields: { name: ChoiceSettingKey; label: string }[] = [
+  { name: "strategyRegular", label: "Strategy for videos" },
+  { name: "strategyLongForm", label: "Strategy for long videos" },
+  { name: "strategyShorts", label: "Strategy for Shorts" },
+];
+
+// Dropdown for a setting with a fixed set of values
+const SelectField = ({
+  control,
+  name,
+  label,
+  description,
+  options,
+}: {
+  control: Control<Settings>;
+  name: ChoiceSettingKey;
+  label: string;
+  description?: string;
+  options: { value: string; label: string }[];
+}) => (
+  <FormField
+    control={control}
+    name={name}
+    render={({ field }) => (
+      <FormItem>
+        <FormLabel>{label}</FormLabel>
+        <Select value={field.value} onValueChange={field.onChange}>
+          <FormControl>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+          </FormControl>
+          <SelectContent>
+            {options.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {description && <FormDescription>{description}</FormDescription>}
+        <FormMessage />
+      </FormItem>
+    )}
+  />
+);
+
+// On/off setting rendered as a bordered row with a switch
+const SwitchField = ({
+  control,
+  name,
+  label,
+  description,
+}: {
+  control: Control<Settings>;
+  name: ToggleSettingKey;
+  label: string;
+  description: string;
+}) => (
+  <FormField
+    control={control}
+    name={name}
+    render={({ field }) => (
+      <FormItem className="flex items-center justify-between rounded-lg border p-4">
+        <div className="space-y-0.5">
+          <FormLabel>{label}</FormLabel>
+          <FormDescription>{description}</FormDescription>
+        </div>
+        <FormControl>
+          <Switch checked={field.value} onCheckedChange={field.onChange} />
+        </FormControl>
+      </FormItem>
+    )}
+  />
+);
 
 const Index = () => {
+  const form = useForm<Settings>({
+    resolver: zodResolver(settingsSchema),
+    defaultValues: DEFAULT_SETTINGS,
+  });
+  const bufferMode = form.watch("bufferMode");
+  const upNextPrefetch = form.watch("upNextPrefetch");
+  const dataBudgetPeriod = form.watch("dataBudgetPeriod");
+  const [usedMegabytes, setUsedMegabytes] = useState<number | null>(null);
+  const [shortcuts, setShortcuts] = useState<Shortcut[]>([]);
+
+  useEffect(() => {
+    loadSettings()
+      .then((settings) => form.reset(settings))
+      .catch((error) => console.error("Failed to load settings:", error));
+  }, [form]);
+
+  useEffect(() => {
+    loadShortcuts()
+      .then(setShortcuts)
+      .catch((error) => console.error("Failed to load keyboard shortcuts:", error));
+  }, []);
+
+  useEffect(() => {
+    if (dataBudgetPeriod === "off") {
+      setUsedMegabytes(null);
+      return;
+    }
+    loadUsedMegabytes(dataBudgetPeriod)
+      .then(setUsedMegabytes)
+      .catch((error) => console.error("Failed to load data usage:", error));
+  }, [dataBudgetPeriod]);
+
+  const onSubmit = async (settings: Settings) => {
+    try {
+      await saveSettings(settings);
+      toast.success("Settings saved. Open YouTube tabs are updated automatically.");
+    } catch (error) {
+      toast.error(`Could not save settings: ${error}`);
+    }
+  };
+
+  const onReset = () => {
+    form.reset(DEFAULT_SETTINGS);
+  };
+
   return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-100">
-      <div className="text-center">
-        <h1 className="text-4xl font-bold mb-4">Welcome to Your Blank App</h1>
-        <p className="text-xl text-gray-600">Start building your amazing project here!</p>
-      </div>
+    <div className="min-h-screen bg-gray-100 py-10">
+      <Form {...form}>
+        <form onSubmit={form.handleSubmit(onSubmit)} className="mx-auto max-w-2xl">
+          <Card>
+            <CardHeader className="flex flex-row items-start justify-between space-y-0">
+              <div className="space-y-1.5">
+                <CardTitle>YouTube Force Buffer</CardTitle>
+                <CardDescription>
+                  Tune how videos and Shorts are forced to buffer. Changes apply to open tabs without a reload.
+                </CardDescription>
+              </div>
+              <Button type="button" variant="ghost" size="sm" asChild>
+                <a href="#/history">Session history</a>
+              </Button>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <SelectField
+                control={form.control}
+                name="bufferMode"
+                label="Buffering mode"
+                description="Buffer ahead keeps a rolling window buffered past the playback position and idles once it is full."
+                options={[
+                  { value: "full", label: "Whole video" },
+                  { value: "ahead", label: "Buffer ahead" },
+                ]}
+              />
+              {bufferMode === "ahead" && (
+                <div className="grid grid-cols-2 gap-4">
+                  <FormField
+                    control={form.control}
+                    name="bufferAheadValue"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Buffer-ahead window</FormLabel>
+                        <FormControl>
+                          <Input type="number" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                  <SelectField
+                    control={form.control}
+                    name="bufferAheadUnit"
+                    label="Window unit"
+                    options={[
+                      { value: "minutes", label: "Minutes" },
+                      { value: "percent", label: "% of video" },
+                    ]}
+                  />
+                </div>
+              )}
+              <SelectField
+                control={form.control}
+                name="bufferQuality"
+                label="Buffer at quality"
+                description="The player is held at this quality while forcing, so quality switches don't throw away what was buffered."
+                options={[
+                  { value: "current", label: "Match current quality" },
+                  { value: "max", label: "Highest available" },
+                  { value: "hd2160", label: "2160p (4K)" },
+                  { value: "hd1440", label: "1440p" },
+                  { value: "hd1080", label: "1080p" },
+                  { value: "hd720", label: "720p" },
+                  { value: "large", label: "480p" },
+                  { value: "medium", label: "360p" },
+                  { value: "auto", label: "Let YouTube decide (restarts on quality changes)" },
+                ]}
+              />
+              <SelectField
+                control={form.control}
+                name="gapFillOrder"
+                label="Gap filling order"
+                description="Holes left in the buffer by seeks or evictions are filled in this order."
+                options={[
+                  { value: "nearest", label: "Nearest to the playhead first" },
+                  { value: "largest", label: "Largest gap first" },
+                ]}
+              />
+              <SelectField
+                control={form.control}
+                name="liveBuffering"
+                label="Live streams"
+                description="Live streams can't be buffered past the live edge. With a DVR window you can buffer the part between your position and the edge."
+                options={[
+                  { value: "idle", label: "Don't buffer" },
+                  { value: "behindEdge", label: "Buffer up to the live edge when watching behind it" },
+                ]}
+              />
+              <SelectField
+                control={form.control}
+                name="dataBudgetPeriod"
+                label="Data budget"
+                description={
+                  usedMegabytes === null
+                    ? "Caps the video data downloaded on YouTube tabs, measured from the actual video requests."
+                    : `${Math.round(usedMegabytes)} MB used ${dataBudgetPeriod === "monthly" ? "this month" : "today"}.`
+                }
+                options={[
+                  { value: "off", label: "No limit" },
+                  { value: "daily", label: "Per day" },
+                  { value: "monthly", label: "Per month" },
+                ]}
+              />
+              {dataBudgetPeriod !== "off" && (
+                <div className="grid grid-cols-2 gap-4">
+                  <FormField
+                    control={form.control}
+                    name="dataBudgetMegabytes"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Budget (MB)</FormLabel>
+                        <FormControl>
+                          <Input type="number" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                  <SelectField
+                    control={form.control}
+                    name="dataBudgetAction"
+                    label="When it runs out"
+                    options={[
+                      { value: "stop", label: "Stop buffering" },
+                      { value: "ahead", label: "Only buffer ahead" },
+                    ]}
+                  />
+                </div>
+              )}
+              <SelectField
+                control={form.control}
+                name="evictionHandling"
+                label="When the player drops buffered video"
+                description="On long or high-bitrate videos the player only keeps so much in memory and drops older parts to make room."
+                options={[
+                  { value: "rebuffer", label: "Keep re-buffering what it can hold ahead of the playhead" },
+                  { value: "cap", label: "Stop at what it could hold" },
+                ]}
+              />
+              <div className="grid grid-cols-3 gap-4">
+                {strategyFields.map(({ name, label }) => (
+                  <SelectField key={name} control={form.control} name={name} label={label} options={strategyOptions} />
+                ))}
+              </div>
+              <p className="text-sm text-muted-foreground">
+                Adaptive sizes seeks by video length and speed. Exponential back-off doubles the seek step and the wait after
+                each miss. Hold a target speed steers the step to keep buffering at the speed set below.
+              </p>
+              {networkPolicyFields.map(({ name, label, description }) => (
+                <SelectField
+                  key={name}
+                  control={form.control}
+                  name={name}
+                  label={label}
+                  description={description}
+                  options={networkPolicyOptions}
+                />
+              ))}
+              {numberFields.map(({ name, label, description, unit }) => (
+                <FormField
+                  key={name}
+                  control={form.control}
+                  name={name}
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>
+                        {label} ({unit})
+                      </FormLabel>
+                      <FormControl>
+                        <Input type="number" {...field} />
+                      </FormControl>
+                      <FormDescription>{description}</FormDescription>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              ))}
+              <SwitchField
+                control={form.control}
+                name="watchWhileBuffering"
+                label="Watch while buffering"
+                description="Only force buffering while the video is paused, and never move the playhead while you watch."
+              />
+              <SwitchField
+                control={form.control}
+                name="showOverlay"
+                label="Player overlay"
+                description="Draw the buffered ranges, remaining gaps and target on the progress bar, with a status chip and pause, resume and skip buttons in the player."
+              />
+              <SwitchField
+                control={form.control}
+                name="upNextPrefetch"
+                label="Warm up the next video"
+                description="Once a video is fully buffered, start buffering the next playlist item or autoplay video in a hidden, muted player."
+              />
+              {upNextPrefetch && (
+                <div className="grid grid-cols-2 gap-4">
+                  <FormField
+                    control={form.control}
+                    name="upNextPrefetchMinutes"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Buffer the first (minutes)</FormLabel>
+                        <FormControl>
+                          <Input type="number" step="0.5" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                  <FormField
+                    control={form.control}
+                    name="upNextPrefetchMegabytes"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Data limit (MB)</FormLabel>
+                        <FormControl>
+                          <Input type="number" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                </div>
+              )}
+              <SwitchField
+                control={form.control}
+                name="debugMode"
+                label="Debug logging"
+                description="Log buffering progress to the page console."
+              />
+            </CardContent>
+            <CardFooter className="justify-end gap-2">
+              <Button type="button" variant="outline" onClick={onReset}>
+                Restore defaults
+              </Button>
+              <Button type="submit">Save</Button>
+            </CardFooter>
+          </Card>
+        </form>
+      </Form>
+      <Card className="mx-auto mt-6 max-w-2xl">
+        <CardHeader>
+          <CardTitle>Keyboard shortcuts</CardTitle>
+          <CardDescription>
+            Control forcing on the current tab without the mouse. The badge or the player overlay confirms each
+            shortcut.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {shortcuts.map((shortcut) => (
+            <div key={shortcut.name} className="flex items-center justify-between text-sm">
+              <span>{shortcut.description}</span>
+              <kbd className="rounded border bg-muted px-2 py-0.5 font-mono text-xs">{shortcut.keys ?? "Not set"}</kbd>
+            </div>
+          ))}
+        </CardContent>
+        <CardFooter className="justify-end">
+          <Button type="button" variant="outline" onClick={openShortcutSettings}>
+            Change shortcuts
+          </Button>
+        </CardFooter>
+      </Card>
     </div>
   );
 };
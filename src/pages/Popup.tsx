@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useState } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import {
+  BufferCommand,
+  BufferRules,
+  BufferSession,
+  fetchBufferSessions,
+  formatElapsedTime,
+  sendBufferCommand,
+} from "@/lib/sessions";
+
+// How often the popup refreshes session data (ms)
+const REFRESH_INTERVAL = 1000;
+
+const statusLabels: Record<BufferSession["status"], string> = {
+  buffering: "Buffering",
+  paused: "Paused",
+  waiting: "Waiting for pause",
+  ad: "Ad playing",
+  queued: "Queued",
+};
+
+/**
+ * Describes the rules currently narrowing or slowing a session, if any
+ */
+const describeRules = (rules: BufferRules | null): string[] => {
+  if (!rules) return [];
+
+  const notes: string[] = [];
+  if (rules.network === "ahead") notes.push("Buffering ahead only on this network");
+  if (rules.budgetReached) notes.push("Data budget used up");
+  if (rules.hidden) notes.push("Checking less often while the tab is hidden");
+  return notes;
+};
+
+const SessionRow = ({
+  session,
+  onCommand,
+}: {
+  session: BufferSession;
+  onCommand: (tabId: number, command: BufferCommand) => void;
+}) => {
+  const isPaused = session.status === "paused";
+  const ruleNotes = describeRules(session.rules);
+
+  return (
+    <li className="space-y-2 rounded-lg border p-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <p className="truncate text-sm font-medium" title={session.title}>
+            {session.title || `Tab ${session.tabId}`}
+          </p>
+          {session.channel && <p className="truncate text-xs text-muted-foreground">{session.channel}</p>}
+        </div>
+        <Badge variant={session.status === "buffering" ? "default" : "secondary"}>{statusLabels[session.status]}</Badge>
+      </div>
+      <Progress value={session.progress} className="h-2" />
+      <div className="flex flex-wrap gap-x-3 text-xs text-muted-foreground">
+        <span>{session.progress}%</span>
+        <span>{session.speed}s/s</span>
+        <span>
+          {session.videoType}
+          {session.quality ? ` · ${session.quality}` : ""}
+        </span>
+        <span>{formatElapsedTime(session.elapsed)}</span>
+        <span>{session.seeks} seeks</span>
+      </div>
+      {ruleNotes.length > 0 && <p className="text-xs text-muted-foreground">{ruleNotes.join(" · ")}</p>}
+      <div className="flex gap-2">
+        {isPaused ? (
+          <Button size="sm" variant="outline" onClick={() => onCommand(session.tabId, "resume")}>
+            Resume
+          </Button>
+        ) : (
+          <Button size="sm" variant="outline" onClick={() => onCommand(session.tabId, "pause")}>
+            Pause
+          </Button>
+        )}
+        <Button size="sm" variant="outline" onClick={() => onCommand(session.tabId, "restart")}>
+          Restart
+        </Button>
+        <Button size="sm" variant="destructive" onClick={() => onCommand(session.tabId, "stop")}>
+          Stop
+        </Button>
+      </div>
+    </li>
+  );
+};
+
+const Popup = () => {
+  const [sessions, setSessions] = useState<BufferSession[]>([]);
+
+  const refresh = useCallback(() => {
+    fetchBufferSessions()
+      .then(setSessions)
+      .catch((error) => console.error("Failed to load buffer sessions:", error));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const onCommand = async (tabId: number, command: BufferCommand) => {
+    try {
+      await sendBufferCommand(tabId, command);
+    } catch (error) {
+      console.error(`Failed to send ${command} to tab ${tabId}:`, error);
+    }
+    refresh();
+  };
+
+  return (
+    <div className="w-96 space-y-3 p-4">
+      <div className="flex items-center justify-between">
+        <h1 className="text-base font-semibold">YouTube Force Buffer</h1>
+        <div className="flex gap-1">
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => chrome.tabs.create({ url: chrome.runtime.getURL("dist/index.html#/history") })}
+          >
+            History
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => chrome.runtime.openOptionsPage()}>
+            Settings
+          </Button>
+        </div>
+      </div>
+      {sessions.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No tabs are buffering right now.</p>
+      ) : (
+        <ul className="space-y-2">
+          {sessions.map((session) => (
+            <SessionRow key={session.tabId} session={session} onCommand={onCommand} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Popup;
@@ -0,0 +1,5 @@
+import { createRoot } from 'react-dom/client'
+import Popup from './pages/Popup.tsx'
+import './index.css'
+
+createRoot(document.getElementById("root")!).render(<Popup />);